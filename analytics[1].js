@@ -34,6 +34,15 @@ router.post('/track-view', async (req, res) => {
       });
     }
 
+    // Preview links and unpublished posts never count as views
+    if (req.headers['x-preview-token'] || req.body.previewToken ||
+        post.status !== 'PUBLISHED' || post.publishedAt > new Date()) {
+      return res.json({
+        message: 'View not tracked',
+        tracked: false
+      });
+    }
+
     // Get today's date for analytics grouping
     const today = new Date();
     today.setHours(0, 0, 0, 0);
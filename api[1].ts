@@ -57,15 +57,196 @@ export const authAPI = {
 export const postsAPI = {
   getPosts: (params?: Record<string, unknown>) => api.get('/api/posts', { params }),
   
-  getPost: (slug: string) => api.get(`/api/posts/${slug}`),
+  getPost: (slug: string, previewToken?: string) =>
+    api.get(`/api/posts/${slug}`, { params: previewToken ? { preview: previewToken } : undefined }),
+  
+  unlockPost: (slug: string, password: string) =>
+    api.post(`/api/posts/${slug}/unlock`, { password }, { withCredentials: true }),
+  
+  getProtectedPost: (slug: string, unlockToken: string) =>
+    api.get(`/api/posts/${slug}`, { headers: { 'X-Post-Unlock': unlockToken }, withCredentials: true }),
+  
+  getRelatedPosts: (
+    slug: string,
+    params?: { limit?: number; tagWeight?: number; categoryWeight?: number; contentWeight?: number }
+  ) => api.get(`/api/posts/${slug}/related`, { params }),
+  
+  getTranslations: (id: string) => api.get(`/api/posts/${id}/translations`),
+  
+  duplicatePost: (id: string) => api.post(`/api/posts/${id}/duplicate`),
   
   createPost: (data: Partial<Post>) => api.post('/api/posts', data),
   
-  updatePost: (id: string, data: Partial<Post>) => api.put(`/api/posts/${id}`, data),
+  updatePost: (id: string, data: Partial<Post>, version: string) =>
+    api.put(`/api/posts/${id}`, data, { headers: { 'If-Match': version } }),
   
   deletePost: (id: string) => api.delete(`/api/posts/${id}`),
   
+  getTrash: (params?: Record<string, unknown>) => api.get('/api/posts/trash', { params }),
+  
+  restorePost: (id: string) => api.post(`/api/posts/${id}/restore`),
+  
+  bulkAction: (data: { action: string; postIds: string[] } & Record<string, unknown>) =>
+    api.post('/api/posts/bulk-action', data),
+  
   getStats: () => api.get('/api/posts/stats/overview'),
+  
+  setFeaturedPosts: (postIds: string[]) => api.put('/api/posts/featured', { postIds }),
+  
+  getRevisions: (id: string) => api.get(`/api/posts/${id}/revisions`),
+  
+  getRevision: (id: string, revisionId: string) => api.get(`/api/posts/${id}/revisions/${revisionId}`),
+  
+  diffRevisions: (id: string, from: string, to: string = 'current') =>
+    api.get(`/api/posts/${id}/revisions/diff`, { params: { from, to } }),
+  
+  restoreRevision: (id: string, revisionId: string) =>
+    api.post(`/api/posts/${id}/revisions/${revisionId}/restore`),
+  
+  createPreviewLink: (id: string, expiresInHours?: number) =>
+    api.post(`/api/posts/${id}/preview-tokens`, { expiresInHours }),
+  
+  getPreviewLinks: (id: string) => api.get(`/api/posts/${id}/preview-tokens`),
+  
+  revokePreviewLink: (id: string, tokenId: string) =>
+    api.delete(`/api/posts/${id}/preview-tokens/${tokenId}`),
+  
+  getReviewQueue: (params?: Record<string, unknown>) => api.get('/api/posts/review-queue', { params }),
+  
+  submitForReview: (id: string, comment?: string) => api.post(`/api/posts/${id}/submit`, { comment }),
+  
+  reviewPost: (id: string, data: { action: 'approve' | 'reject' | 'request-changes'; comment?: string }) =>
+    api.post(`/api/posts/${id}/review`, data),
+  
+  getTransitions: (id: string) => api.get(`/api/posts/${id}/transitions`),
+  
+  getLock: (id: string) => api.get(`/api/posts/${id}/lock`),
+  
+  acquireLock: (id: string, takeover: boolean = false) => api.post(`/api/posts/${id}/lock`, { takeover }),
+  
+  heartbeatLock: (id: string) => api.put(`/api/posts/${id}/lock`),
+  
+  releaseLock: (id: string) => api.delete(`/api/posts/${id}/lock`),
+  
+  getAutosave: (id: string) => api.get(`/api/posts/${id}/autosave`),
+  
+  autosave: (id: string, data: Record<string, unknown>) => api.put(`/api/posts/${id}/autosave`, data),
+  
+  discardAutosave: (id: string) => api.delete(`/api/posts/${id}/autosave`),
+  
+  promoteAutosave: (id: string, force: boolean = false) =>
+    api.post(`/api/posts/${id}/autosave/promote`, { force }),
+};
+
+// Pages API
+export const pagesAPI = {
+  getPages: (params?: { status?: string; tree?: boolean }) => api.get('/api/pages', { params }),
+  
+  getPage: (path: string) => api.get(`/api/pages/${path}`),
+  
+  createPage: (data: Record<string, unknown>) => api.post('/api/pages', data),
+  
+  updatePage: (id: string, data: Record<string, unknown>) => api.put(`/api/pages/${id}`, data),
+  
+  reorderPages: (pageIds: string[]) => api.put('/api/pages/reorder', { pageIds }),
+  
+  deletePage: (id: string, reparentChildren?: boolean) =>
+    api.delete(`/api/pages/${id}`, { data: { reparentChildren } }),
+  
+  deletePage: (id: string) => api.delete(`/api/posts/${id}`),
+};
+
+// Categories API
+export const categoriesAPI = {
+  getCategories: () => api.get('/api/categories'),
+  
+  getCategory: (slug: string) => api.get(`/api/categories/${slug}`),
+  
+  createCategory: (data: Record<string, unknown>) => api.post('/api/categories', data),
+  
+  updateCategory: (id: string, data: Record<string, unknown>) => api.put(`/api/categories/${id}`, data),
+  
+  reorderCategories: (categoryIds: string[]) => api.put('/api/categories/reorder', { categoryIds }),
+  
+  deleteCategory: (id: string, reassignTo?: string) =>
+    api.delete(`/api/categories/${id}`, { data: { reassignTo } }),
+};
+
+// Tags API
+export const tagsAPI = {
+  getTags: (params?: Record<string, unknown>) => api.get('/api/tags', { params }),
+  
+  updateTag: (id: string, data: { name?: string; color?: string }) => api.put(`/api/tags/${id}`, data),
+  
+  mergeTags: (data: { sourceIds: string[]; targetId: string }) => api.post('/api/tags/merge', data),
+  
+  deleteUnusedTags: () => api.delete('/api/tags/unused'),
+};
+
+// Custom Fields API
+export const customFieldsAPI = {
+  getFields: (postType?: 'POST' | 'PAGE') => api.get('/api/custom-fields', { params: { postType } }),
+  
+  createField: (data: Record<string, unknown>) => api.post('/api/custom-fields', data),
+  
+  updateField: (id: string, data: Record<string, unknown>) => api.put(`/api/custom-fields/${id}`, data),
+  
+  deleteField: (id: string) => api.delete(`/api/custom-fields/${id}`),
+};
+
+// Series API
+export const seriesAPI = {
+  getSeries: () => api.get('/api/series'),
+  
+  getSeriesBySlug: (slug: string) => api.get(`/api/series/${slug}`),
+  
+  createSeries: (data: { title: string; description?: string }) => api.post('/api/series', data),
+  
+  updateSeries: (id: string, data: { title?: string; description?: string }) => api.put(`/api/series/${id}`, data),
+  
+  setSeriesPosts: (id: string, postIds: string[]) => api.put(`/api/series/${id}/posts`, { postIds }),
+  
+  deleteSeries: (id: string) => api.delete(`/api/series/${id}`),
+};
+
+// Guest Authors API
+export const guestAuthorsAPI = {
+  getGuestAuthors: (params?: { search?: string }) => api.get('/api/guest-authors', { params }),
+  
+  getGuestAuthor: (slug: string) => api.get(`/api/guest-authors/${slug}`),
+  
+  createGuestAuthor: (data: Record<string, unknown>) => api.post('/api/guest-authors', data),
+  
+  updateGuestAuthor: (id: string, data: Record<string, unknown>) => api.put(`/api/guest-authors/${id}`, data),
+  
+  deleteGuestAuthor: (id: string) => api.delete(`/api/guest-authors/${id}`),
+};
+
+// Redirects API
+export const redirectsAPI = {
+  getRedirects: (postId?: string) => api.get('/api/redirects', { params: { postId } }),
+  
+  deleteRedirect: (id: string) => api.delete(`/api/redirects/${id}`),
+};
+
+// Post Templates API
+export const postTemplatesAPI = {
+  getTemplates: () => api.get('/api/post-templates'),
+  
+  getTemplate: (id: string) => api.get(`/api/post-templates/${id}`),
+  
+  createTemplate: (data: Record<string, unknown>) => api.post('/api/post-templates', data),
+  
+  updateTemplate: (id: string, data: Record<string, unknown>) => api.put(`/api/post-templates/${id}`, data),
+  
+  deleteTemplate: (id: string) => api.delete(`/api/post-templates/${id}`),
+};
+
+// Search API
+export const searchAPI = {
+  search: (q: string, params?: Record<string, unknown>) => api.get('/api/search', { params: { q, ...params } }),
+  
+  reindex: () => api.post('/api/search/reindex'),
 };
 
 // Media API
@@ -127,6 +308,19 @@ export const seoAPI = {
   getSuggestions: () => api.get('/api/seo/suggestions'),
 };
 
+// Sanitizer API
+export const sanitizerAPI = {
+  getPolicies: () => api.get('/api/sanitizer/policies'),
+  
+  updatePolicy: (name: string, data: Record<string, unknown>) => api.put(`/api/sanitizer/policies/${name}`, data),
+  
+  resetPolicy: (name: string) => api.delete(`/api/sanitizer/policies/${name}`),
+  
+  resanitize: (dryRun: boolean = false) => api.post('/api/sanitizer/resanitize', { dryRun }),
+  
+  getResanitizeJob: () => api.get('/api/sanitizer/resanitize'),
+};
+
 // Backup API
 export const backupAPI = {
   createBackup: (data?: Record<string, unknown>) => api.post('/api/backup/create', data),
@@ -137,6 +331,8 @@ export const backupAPI = {
   
   deleteBackup: (id: string) => api.delete(`/api/backup/${id}`),
   
+  importBackup: (exportData: Record<string, unknown>) => api.post('/api/backup/import', exportData),
+  
   getSchedule: () => api.get('/api/backup/schedule'),
   
   updateSchedule: (data: Record<string, unknown>) => api.post('/api/backup/schedule', data),
@@ -0,0 +1,100 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button';
+import { History, AlertTriangle } from 'lucide-react';
+import { postsAPI } from '@/lib/api';
+
+export interface PostAutosave {
+  id: string;
+  title?: string | null;
+  content?: string | null;
+  excerpt?: string | null;
+  fields: Record<string, unknown>;
+  savedAt: string;
+  baseVersion: number;
+  postChangedSince: boolean;
+}
+
+interface AutosaveRecoveryProps {
+  postId: string;
+  onRestore: (autosave: PostAutosave) => void;
+  onDiscard?: () => void;
+}
+
+export function AutosaveRecovery({ postId, onRestore, onDiscard }: AutosaveRecoveryProps) {
+  const [autosave, setAutosave] = useState<PostAutosave | null>(null);
+  const [discarding, setDiscarding] = useState(false);
+
+  useEffect(() => {
+    fetchAutosave();
+  }, [postId]);
+
+  const fetchAutosave = async () => {
+    try {
+      const response = await postsAPI.getAutosave(postId);
+      setAutosave(response.data.autosave);
+    } catch (error) {
+      console.error('Error fetching autosave:', error);
+    }
+  };
+
+  const handleRestore = () => {
+    if (!autosave) return;
+    onRestore(autosave);
+    setAutosave(null);
+  };
+
+  const handleDiscard = async () => {
+    setDiscarding(true);
+    try {
+      await postsAPI.discardAutosave(postId);
+      setAutosave(null);
+      onDiscard?.();
+    } catch (error) {
+      console.error('Error discarding autosave:', error);
+    } finally {
+      setDiscarding(false);
+    }
+  };
+
+  const formatSavedAt = (dateString: string) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+    });
+  };
+
+  if (!autosave) {
+    return null;
+  }
+
+  return (
+    <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 rounded-lg border border-yellow-300 bg-yellow-50 dark:border-yellow-700 dark:bg-yellow-900/20 p-4">
+      <div className="flex items-start">
+        <History className="h-5 w-5 mr-3 mt-0.5 text-yellow-600 dark:text-yellow-400 flex-shrink-0" />
+        <div>
+          <p className="text-sm font-medium text-gray-900 dark:text-white">
+            You have unsaved changes from {formatSavedAt(autosave.savedAt)}
+          </p>
+          {autosave.postChangedSince && (
+            <p className="flex items-center mt-1 text-xs text-yellow-700 dark:text-yellow-300">
+              <AlertTriangle className="h-3 w-3 mr-1" />
+              The post has been saved since these changes were made.
+            </p>
+          )}
+        </div>
+      </div>
+      <div className="flex gap-2">
+        <Button size="sm" onClick={handleRestore}>
+          Restore
+        </Button>
+        <Button size="sm" variant="outline" loading={discarding} onClick={handleDiscard}>
+          Discard
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+const { PrismaClient } = require('@prisma/client');
+const { countWords, getReadingTime } = require('./readingStats');
+
+const prisma = new PrismaClient();
+
+// Rows loaded per query, to keep memory flat on large sites
+const BATCH_SIZE = 200;
+
+/**
+ * Fill in the word count and reading time of posts saved before they
+ * were stored. Only the stats are written: content, versions and
+ * updatedAt are left alone, so feeds and open editors see no change.
+ * Returns the number of posts updated.
+ */
+const backfillReadingStats = async () => {
+  let updated = 0;
+  let cursor = null;
+
+  for (;;) {
+    // Page by id rather than by cursor row: updated posts drop out of
+    // the filter, so the cursor row may no longer match it
+    const posts = await prisma.post.findMany({
+      where: {
+        wordCount: 0,
+        ...(cursor ? { id: { gt: cursor } } : {})
+      },
+      select: { id: true, content: true },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE
+    });
+
+    if (posts.length === 0) break;
+    cursor = posts[posts.length - 1].id;
+
+    for (const post of posts) {
+      const wordCount = countWords(post.content);
+      if (wordCount === 0) continue;
+
+      // Raw SQL so @updatedAt isn't bumped
+      await prisma.$executeRaw`
+        UPDATE posts
+        SET wordCount = ${wordCount}, readingTime = ${getReadingTime(wordCount)}
+        WHERE id = ${post.id}
+      `;
+      updated++;
+    }
+  }
+
+  return updated;
+};
+
+// Run the backfill if called directly: node utils/backfillReadingStats.js
+if (require.main === module) {
+  backfillReadingStats()
+    .then(updated => {
+      console.log(`✅ Filled in reading stats for ${updated} posts`);
+      return prisma.$disconnect();
+    })
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Error backfilling reading stats:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { backfillReadingStats };
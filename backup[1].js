@@ -4,6 +4,16 @@ const path = require('path');
 const archiver = require('archiver');
 const { PrismaClient } = require('@prisma/client');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { parsePagination, buildPage } = require('../utils/pagination');
+const { bylinesInclude, formatBylines } = require('../utils/bylines');
+const {
+  FIELD_TYPES,
+  FIELD_KEY_PATTERN,
+  metaInclude,
+  getFieldOptions,
+  normalizeMetaValue
+} = require('../utils/postMeta');
+const { SITE_LOCALES, DEFAULT_LOCALE } = require('../utils/translations');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -23,6 +33,8 @@ const generateWordPressExport = async () => {
           lastName: true
         }
       },
+      bylines: bylinesInclude,
+      meta: metaInclude,
       category: true,
       tags: {
         include: {
@@ -44,9 +56,11 @@ const generateWordPressExport = async () => {
   });
 
   // Get categories and tags
-  const [categories, tags] = await Promise.all([
+  const [categories, tags, guestAuthors, customFields] = await Promise.all([
     prisma.category.findMany(),
-    prisma.tag.findMany()
+    prisma.tag.findMany(),
+    prisma.guestAuthor.findMany(),
+    prisma.customField.findMany({ orderBy: { sortOrder: 'asc' } })
   ]);
 
   // Convert to WordPress format
@@ -57,7 +71,8 @@ const generateWordPressExport = async () => {
       title: process.env.SITE_NAME || 'My Blog',
       link: process.env.SITE_URL || 'http://localhost:3000',
       description: process.env.SITE_DESCRIPTION || 'A custom blog platform',
-      language: 'en-US'
+      language: DEFAULT_LOCALE,
+      languages: SITE_LOCALES
     },
     categories: categories.map(cat => ({
       term_id: cat.id,
@@ -70,46 +85,159 @@ const generateWordPressExport = async () => {
       tag_slug: tag.slug,
       tag_name: tag.name
     })),
-    posts: posts.map(post => ({
-      post_id: post.id,
-      post_title: post.title,
-      post_name: post.slug,
-      post_content: post.content,
-      post_excerpt: post.excerpt || '',
-      post_status: post.status.toLowerCase(),
-      post_type: 'post',
-      post_date: post.publishedAt || post.createdAt,
-      post_author: post.author.username,
-      post_category: post.category ? [post.category.name] : [],
-      post_tags: post.tags.map(pt => pt.tag.name),
-      post_meta: {
-        _wp_featured_image: post.featuredImage || '',
-        _yoast_wpseo_title: post.metaTitle || '',
-        _yoast_wpseo_metadesc: post.metaDescription || '',
-        _yoast_wpseo_canonical: post.canonicalUrl || '',
-        _yoast_wpseo_opengraph_title: post.ogTitle || '',
-        _yoast_wpseo_opengraph_description: post.ogDescription || '',
-        _yoast_wpseo_opengraph_image: post.ogImage || '',
-        _yoast_wpseo_twitter_title: post.twitterTitle || '',
-        _yoast_wpseo_twitter_description: post.twitterDescription || '',
-        _yoast_wpseo_twitter_image: post.twitterImage || ''
-      },
-      comments: post.comments.map(comment => ({
-        comment_id: comment.id,
-        comment_author: comment.authorName || comment.user?.username || 'Anonymous',
-        comment_author_email: comment.authorEmail || comment.user?.email || '',
-        comment_author_url: comment.authorUrl || '',
-        comment_date: comment.createdAt,
-        comment_content: comment.content,
-        comment_approved: comment.status === 'APPROVED' ? 1 : 0,
-        comment_parent: comment.parentId || 0
-      }))
-    }))
+    guest_authors: guestAuthors.map(guest => ({
+      author_id: guest.id,
+      author_login: guest.slug,
+      display_name: guest.name,
+      author_email: guest.email || '',
+      author_url: guest.website || '',
+      description: guest.bio || ''
+    })),
+    custom_fields: customFields.map(field => ({
+      meta_key: field.key,
+      label: field.label,
+      type: field.type.toLowerCase(),
+      post_type: field.postType.toLowerCase(),
+      required: field.required,
+      options: getFieldOptions(field),
+      description: field.description || '',
+      sort_order: field.sortOrder
+    })),
+    posts: posts.map(post => {
+      const authors = formatBylines(post);
+
+      return {
+        post_id: post.id,
+        post_title: post.title,
+        post_name: post.slug,
+        post_content: post.content,
+        post_content_filtered: post.contentSource || '',
+        post_content_format: post.contentFormat.toLowerCase(),
+        post_excerpt: post.excerpt || '',
+        post_status: post.status.toLowerCase(),
+        post_type: post.type.toLowerCase(),
+        post_parent: post.parentId || 0,
+        menu_order: post.menuOrder,
+        is_sticky: post.isSticky ? 1 : 0,
+        post_locale: post.locale,
+        post_translation_group: post.translationGroupId || '',
+        post_date: post.publishedAt || post.createdAt,
+        post_author: authors[0].slug,
+        post_coauthors: authors.map(a => a.slug),
+        post_category: post.category ? [post.category.name] : [],
+        post_tags: post.tags.map(pt => pt.tag.name),
+        post_meta: {
+          ...(post.type === 'PAGE' ? { _wp_page_template: post.template || 'default' } : {}),
+          _wp_featured_image: post.featuredImage || '',
+          _yoast_wpseo_title: post.metaTitle || '',
+          _yoast_wpseo_metadesc: post.metaDescription || '',
+          _yoast_wpseo_canonical: post.canonicalUrl || '',
+          _yoast_wpseo_opengraph_title: post.ogTitle || '',
+          _yoast_wpseo_opengraph_description: post.ogDescription || '',
+          _yoast_wpseo_opengraph_image: post.ogImage || '',
+          _yoast_wpseo_twitter_title: post.twitterTitle || '',
+          _yoast_wpseo_twitter_description: post.twitterDescription || '',
+          _yoast_wpseo_twitter_image: post.twitterImage || '',
+          ...post.meta.reduce((values, entry) => {
+            values[entry.field.key] = entry.value;
+            return values;
+          }, {})
+        },
+        comments: post.comments.map(comment => ({
+          comment_id: comment.id,
+          comment_author: comment.authorName || comment.user?.username || 'Anonymous',
+          comment_author_email: comment.authorEmail || comment.user?.email || '',
+          comment_author_url: comment.authorUrl || '',
+          comment_date: comment.createdAt,
+          comment_content: comment.content,
+          comment_approved: comment.status === 'APPROVED' ? 1 : 0,
+          comment_parent: comment.parentId || 0
+        }))
+      };
+    })
   };
 
   return wpData;
 };
 
+/**
+ * Restore custom field definitions and values from an export. Posts are
+ * matched by id, then slug; values that no longer fit are skipped.
+ */
+const importCustomFields = async (exportData) => {
+  const result = { fields: 0, posts: 0, values: 0, skipped: [] };
+  const fieldsByType = { POST: new Map(), PAGE: new Map() };
+
+  for (const definition of exportData.custom_fields || []) {
+    const postType = String(definition.post_type || 'post').toUpperCase();
+    const type = String(definition.type || 'text').toUpperCase();
+
+    if (!fieldsByType[postType] || !FIELD_KEY_PATTERN.test(definition.meta_key) || !FIELD_TYPES.includes(type)) {
+      result.skipped.push({ field: definition.meta_key, reason: 'Invalid field definition' });
+      continue;
+    }
+
+    const data = {
+      label: definition.label || definition.meta_key,
+      type,
+      required: Boolean(definition.required),
+      options: JSON.stringify(type === 'SELECT' ? (definition.options || []).map(String) : []),
+      description: definition.description || null,
+      sortOrder: parseInt(definition.sort_order) || 0
+    };
+
+    const field = await prisma.customField.upsert({
+      where: { postType_key: { postType, key: definition.meta_key } },
+      update: data,
+      create: { key: definition.meta_key, postType, ...data }
+    });
+
+    fieldsByType[postType].set(field.key, field);
+    result.fields++;
+  }
+
+  for (const exported of exportData.posts || []) {
+    const post = await prisma.post.findFirst({
+      where: { OR: [{ id: String(exported.post_id) }, { slug: String(exported.post_name) }] },
+      select: { id: true, type: true }
+    });
+
+    if (!post) {
+      result.skipped.push({ post: exported.post_name, reason: 'Post not found' });
+      continue;
+    }
+
+    const fields = fieldsByType[post.type];
+    let restored = 0;
+
+    for (const [key, raw] of Object.entries(exported.post_meta || {})) {
+      const field = fields.get(key);
+      if (!field || raw === '' || raw === null) continue;
+
+      const normalized = normalizeMetaValue(field, raw);
+      if (normalized.error) {
+        result.skipped.push({ post: exported.post_name, field: key, reason: normalized.error });
+        continue;
+      }
+
+      const { value, numberValue, dateValue } = normalized;
+      await prisma.postMeta.upsert({
+        where: { postId_fieldId: { postId: post.id, fieldId: field.id } },
+        update: { value, numberValue, dateValue },
+        create: { postId: post.id, fieldId: field.id, value, numberValue, dateValue }
+      });
+      restored++;
+    }
+
+    if (restored > 0) {
+      result.posts++;
+      result.values += restored;
+    }
+  }
+
+  return result;
+};
+
 /**
  * Create backup archive
  */
@@ -221,32 +349,69 @@ router.post('/create', authenticateToken, requireRole(['ADMIN']), async (req, re
   }
 });
 
+/**
+ * POST /api/backup/import
+ * Restore custom fields and their post values from an exported posts.json
+ */
+router.post('/import', authenticateToken, requireRole(['ADMIN']), async (req, res) => {
+  try {
+    const exportData = req.body;
+
+    if (!exportData || !Array.isArray(exportData.posts)) {
+      return res.status(400).json({
+        error: 'Send the contents of posts.json from a backup',
+        code: 'INVALID_BACKUP_DATA'
+      });
+    }
+
+    const result = await importCustomFields(exportData);
+
+    res.json({
+      message: 'Custom fields restored successfully',
+      restored: {
+        fields: result.fields,
+        posts: result.posts,
+        values: result.values
+      },
+      skipped: result.skipped
+    });
+  } catch (error) {
+    console.error('Import backup error:', error);
+    res.status(500).json({
+      error: 'Failed to import backup',
+      code: 'IMPORT_BACKUP_ERROR'
+    });
+  }
+});
+
 /**
  * GET /api/backup/list
  * Get list of backups
  */
 router.get('/list', authenticateToken, requireRole(['ADMIN']), async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
-    const skip = (page - 1) * limit;
+    const pagination = parsePagination(req.query, {
+      sortable: ['createdAt', 'completedAt', 'size', 'type', 'status'],
+      defaultSort: 'createdAt',
+      defaultLimit: 10
+    });
+
+    if (pagination.error) {
+      return res.status(400).json(pagination.error);
+    }
 
     const [backups, total] = await Promise.all([
       prisma.backup.findMany({
-        skip: parseInt(skip),
-        take: parseInt(limit),
-        orderBy: { createdAt: 'desc' }
+        ...pagination.findArgs
       }),
       prisma.backup.count()
     ]);
 
+    const { items, pagination: pageInfo } = buildPage(req, res, backups, total, pagination);
+
     res.json({
-      backups,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      backups: items,
+      pagination: pageInfo
     });
   } catch (error) {
     console.error('Get backups error:', error);
@@ -0,0 +1,171 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Prisma include for a post's ordered bylines
+const bylinesInclude = {
+  include: {
+    user: {
+      select: {
+        id: true,
+        username: true,
+        email: true,
+        firstName: true,
+        lastName: true,
+        avatar: true
+      }
+    },
+    guestAuthor: {
+      select: {
+        id: true,
+        name: true,
+        slug: true,
+        email: true,
+        avatar: true,
+        website: true
+      }
+    }
+  },
+  orderBy: { position: 'asc' }
+};
+
+/**
+ * Display name of a user account
+ */
+const getUserDisplayName = (user) => {
+  return user.firstName && user.lastName
+    ? `${user.firstName} ${user.lastName}`
+    : user.username;
+};
+
+/**
+ * Ordered list of a post's authors. Posts without bylines are credited
+ * to the user who owns them.
+ */
+const formatBylines = (post) => {
+  const bylines = post.bylines && post.bylines.length > 0
+    ? post.bylines
+    : post.author ? [{ user: post.author }] : [];
+
+  return bylines.map(byline => {
+    if (byline.guestAuthor) {
+      return {
+        type: 'guest',
+        id: byline.guestAuthor.id,
+        name: byline.guestAuthor.name,
+        slug: byline.guestAuthor.slug,
+        email: byline.guestAuthor.email || null,
+        avatar: byline.guestAuthor.avatar || null,
+        url: byline.guestAuthor.website || null
+      };
+    }
+
+    return {
+      type: 'user',
+      id: byline.user.id,
+      name: getUserDisplayName(byline.user),
+      slug: byline.user.username,
+      email: byline.user.email || null,
+      avatar: byline.user.avatar || null,
+      url: null
+    };
+  });
+};
+
+/**
+ * Strip email addresses before bylines are shown publicly
+ */
+const publicBylines = (post) => {
+  return formatBylines(post).map(({ email, ...byline }) => byline);
+};
+
+/**
+ * Where clause matching posts credited to a username or guest author slug
+ */
+const authorFilter = (slug) => ({
+  OR: [
+    { author: { username: slug }, bylines: { none: {} } },
+    {
+      bylines: {
+        some: {
+          OR: [
+            { user: { username: slug } },
+            { guestAuthor: { slug } }
+          ]
+        }
+      }
+    }
+  ]
+});
+
+/**
+ * Check a list of bylines, returning an error message for the first
+ * entry that doesn't point at an active user or an existing guest author
+ */
+const validateBylines = async (authors) => {
+  if (authors.some(a => !a || typeof a !== 'object' || !a.userId === !a.guestAuthorId)) {
+    return 'Each author needs either a userId or a guestAuthorId';
+  }
+
+  const userIds = authors.filter(a => a.userId).map(a => a.userId);
+  const guestIds = authors.filter(a => a.guestAuthorId).map(a => a.guestAuthorId);
+
+  const [users, guests] = await Promise.all([
+    prisma.user.findMany({
+      where: { id: { in: userIds }, isActive: true },
+      select: { id: true }
+    }),
+    prisma.guestAuthor.findMany({
+      where: { id: { in: guestIds } },
+      select: { id: true }
+    })
+  ]);
+
+  if (users.length !== new Set(userIds).size) {
+    return 'One or more authors were not found';
+  }
+
+  if (guests.length !== new Set(guestIds).size) {
+    return 'One or more guest authors were not found';
+  }
+
+  return null;
+};
+
+/**
+ * Replace a post's bylines with the given ordered list
+ */
+const syncPostBylines = async (postId, authors = [], client = prisma) => {
+  const seen = new Set();
+  const unique = authors.filter(a => {
+    const key = a.userId ? `user:${a.userId}` : `guest:${a.guestAuthorId}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  await client.postAuthor.deleteMany({ where: { postId } });
+
+  if (unique.length === 0) {
+    return;
+  }
+
+  await client.postAuthor.createMany({
+    data: unique.map((a, position) => ({
+      postId,
+      userId: a.userId || null,
+      guestAuthorId: a.guestAuthorId || null,
+      position
+    }))
+  });
+};
+
+module.exports = {
+  bylinesInclude,
+  getUserDisplayName,
+  formatBylines,
+  publicBylines,
+  authorFilter,
+  validateBylines,
+  syncPostBylines
+};
@@ -0,0 +1,398 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const slugify = require('slugify');
+const { authenticateToken, requireRole, optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation rules
+const categoryValidation = [
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+  body('description').optional({ nullable: true }).isLength({ max: 500 }).withMessage('Description must be under 500 characters'),
+  body('color').optional({ nullable: true }).matches(/^#[0-9A-Fa-f]{6}$/).withMessage('Color must be a hex value like #3B82F6'),
+  body('sortOrder').optional().isInt({ min: 0 }).withMessage('Sort order must be a positive integer')
+];
+
+/**
+ * Generate unique slug for category
+ */
+const generateUniqueSlug = async (name, categoryId = null) => {
+  let baseSlug = slugify(name, { lower: true, strict: true });
+  let slug = baseSlug;
+  let counter = 1;
+
+  while (true) {
+    const existingCategory = await prisma.category.findUnique({
+      where: { slug },
+      select: { id: true }
+    });
+
+    if (!existingCategory || (categoryId && existingCategory.id === categoryId)) {
+      break;
+    }
+
+    slug = `${baseSlug}-${counter}`;
+    counter++;
+  }
+
+  return slug;
+};
+
+/**
+ * Count posts per category. Public requests only count live posts.
+ */
+const countPostsByCategory = async (isStaff) => {
+  const where = isStaff
+    ? { status: { not: 'TRASH' } }
+    : { status: 'PUBLISHED', publishedAt: { lte: new Date() } };
+
+  const counts = await prisma.post.groupBy({
+    by: ['categoryId'],
+    where: {
+      ...where,
+      categoryId: { not: null }
+    },
+    _count: { _all: true }
+  });
+
+  return counts.reduce((map, row) => {
+    map[row.categoryId] = row._count._all;
+    return map;
+  }, {});
+};
+
+/**
+ * GET /api/categories
+ * Get all categories with post counts
+ */
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const isStaff = req.user && ['ADMIN', 'EDITOR'].includes(req.user.role);
+
+    const [categories, postCounts] = await Promise.all([
+      prisma.category.findMany({
+        orderBy: [{ sortOrder: 'asc' }, { name: 'asc' }]
+      }),
+      countPostsByCategory(isStaff)
+    ]);
+
+    res.json({
+      categories: categories.map(category => ({
+        ...category,
+        postCount: postCounts[category.id] || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      error: 'Failed to get categories',
+      code: 'GET_CATEGORIES_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/categories/:slug
+ * Get single category by slug
+ */
+router.get('/:slug', optionalAuth, async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const isStaff = req.user && ['ADMIN', 'EDITOR'].includes(req.user.role);
+
+    const category = await prisma.category.findUnique({
+      where: { slug }
+    });
+
+    if (!category) {
+      return res.status(404).json({
+        error: 'Category not found',
+        code: 'CATEGORY_NOT_FOUND'
+      });
+    }
+
+    const postCounts = await countPostsByCategory(isStaff);
+
+    res.json({
+      category: {
+        ...category,
+        postCount: postCounts[category.id] || 0
+      }
+    });
+  } catch (error) {
+    console.error('Get category error:', error);
+    res.status(500).json({
+      error: 'Failed to get category',
+      code: 'GET_CATEGORY_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/categories
+ * Create new category
+ */
+router.post('/', authenticateToken, requireRole(['ADMIN', 'EDITOR']), [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  ...categoryValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, description, color, sortOrder } = req.body;
+
+    const existingCategory = await prisma.category.findUnique({
+      where: { name }
+    });
+
+    if (existingCategory) {
+      return res.status(409).json({
+        error: 'A category with this name already exists',
+        code: 'CATEGORY_EXISTS'
+      });
+    }
+
+    // New categories go to the end unless a position is given
+    let position = sortOrder;
+    if (position === undefined) {
+      const last = await prisma.category.aggregate({ _max: { sortOrder: true } });
+      position = last._max.sortOrder === null ? 0 : last._max.sortOrder + 1;
+    }
+
+    const category = await prisma.category.create({
+      data: {
+        name,
+        slug: await generateUniqueSlug(name),
+        description,
+        color,
+        sortOrder: parseInt(position)
+      }
+    });
+
+    res.status(201).json({
+      message: 'Category created successfully',
+      category: {
+        ...category,
+        postCount: 0
+      }
+    });
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json({
+      error: 'Failed to create category',
+      code: 'CREATE_CATEGORY_ERROR'
+    });
+  }
+});
+
+/**
+ * PUT /api/categories/reorder
+ * Set category order from an array of IDs
+ */
+router.put('/reorder', authenticateToken, requireRole(['ADMIN', 'EDITOR']), [
+  body('categoryIds').isArray({ min: 1 }).withMessage('Category IDs must be a non-empty array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { categoryIds } = req.body;
+
+    const found = await prisma.category.count({
+      where: { id: { in: categoryIds } }
+    });
+
+    if (found !== new Set(categoryIds).size) {
+      return res.status(400).json({
+        error: 'One or more categories were not found',
+        code: 'CATEGORY_NOT_FOUND'
+      });
+    }
+
+    await prisma.$transaction(
+      categoryIds.map((id, index) => prisma.category.update({
+        where: { id },
+        data: { sortOrder: index }
+      }))
+    );
+
+    const categories = await prisma.category.findMany({
+      orderBy: [{ sortOrder: 'asc' }, { name: 'asc' }]
+    });
+
+    res.json({
+      message: 'Categories reordered successfully',
+      categories
+    });
+  } catch (error) {
+    console.error('Reorder categories error:', error);
+    res.status(500).json({
+      error: 'Failed to reorder categories',
+      code: 'REORDER_CATEGORIES_ERROR'
+    });
+  }
+});
+
+/**
+ * PUT /api/categories/:id
+ * Update category (rename, recolor, describe, move)
+ */
+router.put('/:id', authenticateToken, requireRole(['ADMIN', 'EDITOR']), categoryValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { name, description, color, sortOrder } = req.body;
+
+    const category = await prisma.category.findUnique({
+      where: { id }
+    });
+
+    if (!category) {
+      return res.status(404).json({
+        error: 'Category not found',
+        code: 'CATEGORY_NOT_FOUND'
+      });
+    }
+
+    // Regenerate slug if name changed
+    let slug = category.slug;
+    if (name !== undefined && name !== category.name) {
+      const duplicate = await prisma.category.findUnique({
+        where: { name }
+      });
+
+      if (duplicate) {
+        return res.status(409).json({
+          error: 'A category with this name already exists',
+          code: 'CATEGORY_EXISTS'
+        });
+      }
+
+      slug = await generateUniqueSlug(name, id);
+    }
+
+    const updatedCategory = await prisma.category.update({
+      where: { id },
+      data: {
+        name: name !== undefined ? name : category.name,
+        slug,
+        description: description !== undefined ? description : category.description,
+        color: color !== undefined ? color : category.color,
+        sortOrder: sortOrder !== undefined ? parseInt(sortOrder) : category.sortOrder
+      }
+    });
+
+    res.json({
+      message: 'Category updated successfully',
+      category: updatedCategory
+    });
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(500).json({
+      error: 'Failed to update category',
+      code: 'UPDATE_CATEGORY_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/categories/:id
+ * Delete category, moving its posts to another category
+ */
+router.delete('/:id', authenticateToken, requireRole(['ADMIN', 'EDITOR']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reassignTo = req.body.reassignTo || req.query.reassignTo || null;
+
+    const category = await prisma.category.findUnique({
+      where: { id },
+      include: {
+        _count: {
+          select: { posts: true }
+        }
+      }
+    });
+
+    if (!category) {
+      return res.status(404).json({
+        error: 'Category not found',
+        code: 'CATEGORY_NOT_FOUND'
+      });
+    }
+
+    const postCount = category._count.posts;
+
+    if (postCount > 0) {
+      if (!reassignTo) {
+        return res.status(400).json({
+          error: `Category has ${postCount} posts. Choose a category to move them to.`,
+          code: 'REASSIGN_CATEGORY_REQUIRED',
+          postCount
+        });
+      }
+
+      if (reassignTo === id) {
+        return res.status(400).json({
+          error: 'Posts cannot be moved to the category being deleted',
+          code: 'INVALID_REASSIGN_CATEGORY'
+        });
+      }
+
+      const target = await prisma.category.findUnique({
+        where: { id: reassignTo },
+        select: { id: true }
+      });
+
+      if (!target) {
+        return res.status(400).json({
+          error: 'Target category not found',
+          code: 'INVALID_REASSIGN_CATEGORY'
+        });
+      }
+    }
+
+    const [reassigned] = await prisma.$transaction([
+      prisma.post.updateMany({
+        where: { categoryId: id },
+        data: { categoryId: reassignTo }
+      }),
+      prisma.category.delete({
+        where: { id }
+      })
+    ]);
+
+    res.json({
+      message: 'Category deleted successfully',
+      reassignedPosts: reassigned.count,
+      reassignedTo: postCount > 0 ? reassignTo : null
+    });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({
+      error: 'Failed to delete category',
+      code: 'DELETE_CATEGORY_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const { authenticateToken, requireRole, optionalAuth } = require('../middleware/auth');
+const { parsePagination, buildPage } = require('../utils/pagination');
+const { sanitizeComment } = require('../utils/htmlSanitizer');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -146,7 +148,7 @@ router.post('/', optionalAuth, [
     // Create comment
     const comment = await prisma.comment.create({
       data: {
-        content,
+        content: await sanitizeComment(content),
         status,
         authorName: finalAuthorName,
         authorEmail: finalAuthorEmail,
@@ -202,16 +204,20 @@ router.post('/', optionalAuth, [
 router.get('/', authenticateToken, requireRole(['ADMIN', 'EDITOR']), async (req, res) => {
   try {
     const {
-      page = 1,
-      limit = 20,
       status = 'ALL',
       postId,
-      search,
-      sortBy = 'createdAt',
-      sortOrder = 'desc'
+      search
     } = req.query;
 
-    const skip = (page - 1) * limit;
+    const pagination = parsePagination(req.query, {
+      sortable: ['createdAt', 'updatedAt', 'status', 'authorName'],
+      defaultSort: 'createdAt',
+      defaultLimit: 20
+    });
+
+    if (pagination.error) {
+      return res.status(400).json(pagination.error);
+    }
 
     // Build where clause
     let where = {};
@@ -265,21 +271,16 @@ router.get('/', authenticateToken, requireRole(['ADMIN', 'EDITOR']), async (req,
             }
           }
         },
-        skip: parseInt(skip),
-        take: parseInt(limit),
-        orderBy: { [sortBy]: sortOrder }
+        ...pagination.findArgs
       }),
       prisma.comment.count({ where })
     ]);
 
+    const { items, pagination: pageInfo } = buildPage(req, res, comments, total, pagination);
+
     res.json({
-      comments,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      comments: items,
+      pagination: pageInfo
     });
   } catch (error) {
     console.error('Get comments error:', error);
@@ -297,8 +298,16 @@ router.get('/', authenticateToken, requireRole(['ADMIN', 'EDITOR']), async (req,
 router.get('/post/:postId', async (req, res) => {
   try {
     const { postId } = req.params;
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
+
+    const pagination = parsePagination(req.query, {
+      sortable: ['createdAt'],
+      defaultSort: 'createdAt',
+      defaultLimit: 20
+    });
+
+    if (pagination.error) {
+      return res.status(400).json(pagination.error);
+    }
 
     // Check if post exists
     const post = await prisma.post.findUnique({
@@ -346,9 +355,7 @@ router.get('/post/:postId', async (req, res) => {
           orderBy: { createdAt: 'asc' }
         }
       },
-      skip: parseInt(skip),
-      take: parseInt(limit),
-      orderBy: { createdAt: 'desc' }
+      ...pagination.findArgs
     });
 
     const total = await prisma.comment.count({
@@ -359,14 +366,11 @@ router.get('/post/:postId', async (req, res) => {
       }
     });
 
+    const { items, pagination: pageInfo } = buildPage(req, res, comments, total, pagination);
+
     res.json({
-      comments,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      comments: items,
+      pagination: pageInfo
     });
   } catch (error) {
     console.error('Get post comments error:', error);
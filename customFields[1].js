@@ -0,0 +1,285 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { FIELD_TYPES, FIELD_KEY_PATTERN, getFieldOptions } = require('../utils/postMeta');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation rules
+const fieldValidation = [
+  body('label').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Label must be between 1 and 100 characters'),
+  body('required').optional().isBoolean().withMessage('Required must be true or false'),
+  body('options').optional().isArray().withMessage('Options must be an array'),
+  body('description').optional({ nullable: true }).isLength({ max: 500 }).withMessage('Description must be under 500 characters'),
+  body('sortOrder').optional().isInt({ min: 0 }).withMessage('Sort order must be a positive integer')
+];
+
+/**
+ * Field definition as returned by the API, with options parsed
+ */
+const formatField = ({ _count, ...field }) => ({
+  ...field,
+  options: getFieldOptions(field),
+  ...(_count ? { usageCount: _count.values } : {})
+});
+
+/**
+ * GET /api/custom-fields
+ * Get custom field definitions, optionally for one content type
+ */
+router.get('/', [
+  query('postType').optional()
+    .not().isArray().withMessage('Post type must be a single value').bail()
+    .toUpperCase()
+    .isIn(['POST', 'PAGE']).withMessage('Post type must be POST or PAGE')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { postType } = req.query;
+
+    const fields = await prisma.customField.findMany({
+      where: postType ? { postType } : {},
+      include: {
+        _count: {
+          select: { values: true }
+        }
+      },
+      orderBy: [{ postType: 'asc' }, { sortOrder: 'asc' }, { label: 'asc' }]
+    });
+
+    res.json({
+      fields: fields.map(formatField),
+      types: FIELD_TYPES
+    });
+  } catch (error) {
+    console.error('Get custom fields error:', error);
+    res.status(500).json({
+      error: 'Failed to get custom fields',
+      code: 'GET_CUSTOM_FIELDS_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/custom-fields
+ * Define a custom field
+ */
+router.post('/', authenticateToken, requireRole(['ADMIN']), [
+  body('key').matches(FIELD_KEY_PATTERN).withMessage('Key must be lowercase letters, numbers and underscores, starting with a letter'),
+  body('label').trim().notEmpty().withMessage('Label is required'),
+  body('type').isIn(FIELD_TYPES).withMessage(`Type must be one of ${FIELD_TYPES.join(', ')}`),
+  body('postType').optional().isIn(['POST', 'PAGE']).withMessage('Post type must be POST or PAGE'),
+  ...fieldValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const {
+      key,
+      label,
+      type,
+      postType = 'POST',
+      required = false,
+      options = [],
+      description,
+      sortOrder = 0
+    } = req.body;
+
+    if (type === 'SELECT' && options.length === 0) {
+      return res.status(400).json({
+        error: 'Select fields need at least one option',
+        code: 'OPTIONS_REQUIRED'
+      });
+    }
+
+    const existingField = await prisma.customField.findUnique({
+      where: { postType_key: { postType, key } }
+    });
+
+    if (existingField) {
+      return res.status(409).json({
+        error: `A ${postType.toLowerCase()} field with the key ${key} already exists`,
+        code: 'CUSTOM_FIELD_EXISTS'
+      });
+    }
+
+    const field = await prisma.customField.create({
+      data: {
+        key,
+        label,
+        type,
+        postType,
+        required,
+        options: JSON.stringify(type === 'SELECT' ? options.map(String) : []),
+        description,
+        sortOrder: parseInt(sortOrder)
+      }
+    });
+
+    res.status(201).json({
+      message: 'Custom field created successfully',
+      field: formatField(field)
+    });
+  } catch (error) {
+    console.error('Create custom field error:', error);
+    res.status(500).json({
+      error: 'Failed to create custom field',
+      code: 'CREATE_CUSTOM_FIELD_ERROR'
+    });
+  }
+});
+
+/**
+ * PUT /api/custom-fields/:id
+ * Update a custom field. The key and type are fixed once values exist.
+ */
+router.put('/:id', authenticateToken, requireRole(['ADMIN']), [
+  body('key').optional().matches(FIELD_KEY_PATTERN).withMessage('Key must be lowercase letters, numbers and underscores, starting with a letter'),
+  body('type').optional().isIn(FIELD_TYPES).withMessage(`Type must be one of ${FIELD_TYPES.join(', ')}`),
+  ...fieldValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { key, label, type, required, options, description, sortOrder } = req.body;
+
+    const field = await prisma.customField.findUnique({
+      where: { id },
+      include: {
+        _count: {
+          select: { values: true }
+        }
+      }
+    });
+
+    if (!field) {
+      return res.status(404).json({
+        error: 'Custom field not found',
+        code: 'CUSTOM_FIELD_NOT_FOUND'
+      });
+    }
+
+    const keyChanged = key !== undefined && key !== field.key;
+    const typeChanged = type !== undefined && type !== field.type;
+
+    if ((keyChanged || typeChanged) && field._count.values > 0) {
+      return res.status(409).json({
+        error: `The key and type can't change while ${field._count.values} posts have a value for this field`,
+        code: 'CUSTOM_FIELD_IN_USE',
+        usageCount: field._count.values
+      });
+    }
+
+    if (keyChanged) {
+      const duplicate = await prisma.customField.findUnique({
+        where: { postType_key: { postType: field.postType, key } }
+      });
+
+      if (duplicate) {
+        return res.status(409).json({
+          error: `A ${field.postType.toLowerCase()} field with the key ${key} already exists`,
+          code: 'CUSTOM_FIELD_EXISTS'
+        });
+      }
+    }
+
+    const nextType = type !== undefined ? type : field.type;
+    const nextOptions = options !== undefined ? options.map(String) : getFieldOptions(field);
+
+    if (nextType === 'SELECT' && nextOptions.length === 0) {
+      return res.status(400).json({
+        error: 'Select fields need at least one option',
+        code: 'OPTIONS_REQUIRED'
+      });
+    }
+
+    const updatedField = await prisma.customField.update({
+      where: { id },
+      data: {
+        key: key !== undefined ? key : field.key,
+        label: label !== undefined ? label : field.label,
+        type: nextType,
+        required: required !== undefined ? required : field.required,
+        options: JSON.stringify(nextType === 'SELECT' ? nextOptions : []),
+        description: description !== undefined ? description : field.description,
+        sortOrder: sortOrder !== undefined ? parseInt(sortOrder) : field.sortOrder
+      }
+    });
+
+    res.json({
+      message: 'Custom field updated successfully',
+      field: formatField(updatedField)
+    });
+  } catch (error) {
+    console.error('Update custom field error:', error);
+    res.status(500).json({
+      error: 'Failed to update custom field',
+      code: 'UPDATE_CUSTOM_FIELD_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/custom-fields/:id
+ * Delete a custom field and its values on every post
+ */
+router.delete('/:id', authenticateToken, requireRole(['ADMIN']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const field = await prisma.customField.findUnique({
+      where: { id },
+      include: {
+        _count: {
+          select: { values: true }
+        }
+      }
+    });
+
+    if (!field) {
+      return res.status(404).json({
+        error: 'Custom field not found',
+        code: 'CUSTOM_FIELD_NOT_FOUND'
+      });
+    }
+
+    await prisma.customField.delete({
+      where: { id }
+    });
+
+    res.json({
+      message: 'Custom field deleted successfully',
+      removedValues: field._count.values
+    });
+  } catch (error) {
+    console.error('Delete custom field error:', error);
+    res.status(500).json({
+      error: 'Failed to delete custom field',
+      code: 'DELETE_CUSTOM_FIELD_ERROR'
+    });
+  }
+});
+
+module.exports = router;
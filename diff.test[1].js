@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffWords, diffStats } = require('../utils/diff');
+
+// Both sides of a diff, put back together from its runs
+const rebuild = (changes) => ({
+  from: changes.filter(change => change.type !== 'insert').map(change => change.value).join(''),
+  to: changes.filter(change => change.type !== 'delete').map(change => change.value).join('')
+});
+
+test('identical text is one equal run', () => {
+  assert.deepEqual(diffWords('<p>Hello world</p>', '<p>Hello world</p>'), [
+    { type: 'equal', value: '<p>Hello world</p>' }
+  ]);
+});
+
+test('a changed word is deleted and inserted in place', () => {
+  assert.deepEqual(diffWords('the quick fox', 'the slow fox'), [
+    { type: 'equal', value: 'the ' },
+    { type: 'delete', value: 'quick' },
+    { type: 'insert', value: 'slow' },
+    { type: 'equal', value: ' fox' }
+  ]);
+});
+
+test('tags are tokens of their own', () => {
+  const changes = diffWords('<p>text</p>', '<h2>text</h2>');
+
+  assert.deepEqual(changes.filter(change => change.type === 'equal'), [
+    { type: 'equal', value: 'text' }
+  ]);
+});
+
+test('empty sides diff to a single insert or delete', () => {
+  assert.deepEqual(diffWords('', 'new text'), [{ type: 'insert', value: 'new text' }]);
+  assert.deepEqual(diffWords('old text', ''), [{ type: 'delete', value: 'old text' }]);
+  assert.deepEqual(diffWords('', ''), []);
+});
+
+test('the runs rebuild both texts', () => {
+  const from = '<p>One two three four</p><p>five six</p>';
+  const to = '<p>One three four added</p><p>six seven five</p>';
+
+  assert.deepEqual(rebuild(diffWords(from, to)), { from, to });
+});
+
+test('the edit script is the shortest one', () => {
+  // One insertion is cheaper than rewriting the shifted words
+  const changes = diffWords('a b c d', 'x a b c d');
+
+  assert.deepEqual(changes, [
+    { type: 'insert', value: 'x ' },
+    { type: 'equal', value: 'a b c d' }
+  ]);
+});
+
+test('past the edit budget the changed region is replaced whole', () => {
+  const changes = diffWords('keep a b c end', 'keep x b y end', { maxCost: 1 });
+
+  assert.deepEqual(changes, [
+    { type: 'equal', value: 'keep ' },
+    { type: 'delete', value: 'a b c' },
+    { type: 'insert', value: 'x b y' },
+    { type: 'equal', value: ' end' }
+  ]);
+});
+
+test('within the edit budget words are matched', () => {
+  const changes = diffWords('keep a b c end', 'keep x b y end', { maxCost: 4 });
+
+  assert.deepEqual(changes, [
+    { type: 'equal', value: 'keep ' },
+    { type: 'delete', value: 'a' },
+    { type: 'insert', value: 'x' },
+    { type: 'equal', value: ' b ' },
+    { type: 'delete', value: 'c' },
+    { type: 'insert', value: 'y' },
+    { type: 'equal', value: ' end' }
+  ]);
+});
+
+test('a full rewrite of a long post falls back quickly', () => {
+  const from = Array.from({ length: 20000 }, (_, i) => `old${i % 997}`).join(' ');
+  const to = Array.from({ length: 20000 }, (_, i) => `new${i % 991}`).join(' ');
+
+  const startedAt = Date.now();
+  const changes = diffWords(from, to);
+
+  assert.ok(Date.now() - startedAt < 2000);
+  assert.deepEqual(rebuild(changes), { from, to });
+});
+
+test('diffStats counts words, not tags or whitespace', () => {
+  const changes = diffWords('<p>one two</p>', '<p>one <strong>three four</strong></p>');
+
+  assert.deepEqual(diffStats(changes), { added: 2, removed: 1 });
+});
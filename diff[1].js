@@ -0,0 +1,204 @@
+// Upper bound on the diff's work, in tokens times edits. Past it the
+// changed region is shown as one deletion and one insertion, so a full
+// rewrite of a long post can't hold up the server.
+const MAX_DIFF_WORK = 20000000;
+
+/**
+ * Split text into word, whitespace and HTML tag tokens.
+ * Joining the tokens back together yields the original text.
+ */
+const tokenize = (text) => {
+  if (!text) return [];
+  return text.match(/<[^>]*>|\s+|[^\s<]+|</g) || [];
+};
+
+/**
+ * Find the middle snake of the shortest edit script between a[aStart, aEnd)
+ * and b[bStart, bEnd), searching forwards and backwards until the paths
+ * meet. Returns the snake's start (x, y) and end (u, v), relative to the
+ * start of the ranges, or null if the script needs more than maxCost edits.
+ */
+const middleSnake = (a, aStart, aEnd, b, bStart, bEnd, maxCost) => {
+  const n = aEnd - aStart;
+  const m = bEnd - bStart;
+  const delta = n - m;
+  const odd = Math.abs(delta) % 2 === 1;
+  const max = Math.ceil((n + m) / 2);
+  const limit = Math.min(max, Math.ceil(maxCost / 2));
+  const offset = max + 1;
+
+  // Furthest x reached on each diagonal, forwards from the start and
+  // backwards from the end
+  const forward = new Int32Array(2 * max + 3);
+  const backward = new Int32Array(2 * max + 3);
+
+  for (let d = 0; d <= limit; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1]))
+        ? forward[offset + k + 1]
+        : forward[offset + k - 1] + 1;
+      let y = x - k;
+      const startX = x;
+      const startY = y;
+
+      while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+        x++;
+        y++;
+      }
+
+      forward[offset + k] = x;
+
+      if (odd && delta - k >= -(d - 1) && delta - k <= d - 1 && x + backward[offset + delta - k] >= n) {
+        return { x: startX, y: startY, u: x, v: y };
+      }
+    }
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1]))
+        ? backward[offset + k + 1]
+        : backward[offset + k - 1] + 1;
+      let y = x - k;
+      const startX = x;
+      const startY = y;
+
+      while (x < n && y < m && a[aEnd - 1 - x] === b[bEnd - 1 - y]) {
+        x++;
+        y++;
+      }
+
+      backward[offset + k] = x;
+
+      if (!odd && delta - k >= -d && delta - k <= d && x + forward[offset + delta - k] >= n) {
+        return { x: n - x, y: m - y, u: n - startX, v: m - startY };
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Myers shortest edit script over a[aStart, aEnd) and b[bStart, bEnd),
+ * appended to ops. Splitting on the middle snake keeps memory linear in
+ * the input, however large the rewrite. When the script needs more than
+ * maxCost edits the ranges are replaced as a whole instead.
+ */
+const diffRange = (a, aStart, aEnd, b, bStart, bEnd, ops, maxCost = Infinity) => {
+  while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+    ops.push({ type: 'equal', value: a[aStart] });
+    aStart++;
+    bStart++;
+  }
+
+  let suffix = 0;
+  while (aEnd > aStart && bEnd > bStart && a[aEnd - 1] === b[bEnd - 1]) {
+    aEnd--;
+    bEnd--;
+    suffix++;
+  }
+
+  if (aStart === aEnd) {
+    for (let i = bStart; i < bEnd; i++) {
+      ops.push({ type: 'insert', value: b[i] });
+    }
+  } else if (bStart === bEnd) {
+    for (let i = aStart; i < aEnd; i++) {
+      ops.push({ type: 'delete', value: a[i] });
+    }
+  } else {
+    const snake = middleSnake(a, aStart, aEnd, b, bStart, bEnd, maxCost);
+
+    if (snake) {
+      // Both halves together cost less than the whole, so they are in budget
+      diffRange(a, aStart, aStart + snake.x, b, bStart, bStart + snake.y, ops);
+      for (let i = snake.x; i < snake.u; i++) {
+        ops.push({ type: 'equal', value: a[aStart + i] });
+      }
+      diffRange(a, aStart + snake.u, aEnd, b, bStart + snake.v, bEnd, ops);
+    } else {
+      for (let i = aStart; i < aEnd; i++) {
+        ops.push({ type: 'delete', value: a[i] });
+      }
+      for (let i = bStart; i < bEnd; i++) {
+        ops.push({ type: 'insert', value: b[i] });
+      }
+    }
+  }
+
+  for (let i = aEnd; i < aEnd + suffix; i++) {
+    ops.push({ type: 'equal', value: a[i] });
+  }
+};
+
+/**
+ * Myers shortest edit script over two token arrays, or a whole
+ * replacement when it would take more than maxCost edits
+ */
+const myersDiff = (a, b, maxCost) => {
+  const ops = [];
+  diffRange(a, 0, a.length, b, 0, b.length, ops, maxCost);
+  return ops;
+};
+
+/**
+ * Word-level diff between two strings.
+ * Returns consecutive runs of { type: 'equal' | 'insert' | 'delete', value }.
+ * maxCost overrides the edit budget, which by default scales down as the
+ * changed region grows.
+ */
+const diffWords = (oldText = '', newText = '', { maxCost } = {}) => {
+  const a = tokenize(oldText);
+  const b = tokenize(newText);
+
+  // Trim common prefix and suffix so the edit search only covers the changed region
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [
+    ...a.slice(0, start).map(value => ({ type: 'equal', value })),
+    ...myersDiff(
+      a.slice(start, endA),
+      b.slice(start, endB),
+      maxCost !== undefined ? maxCost : Math.floor(MAX_DIFF_WORK / Math.max(endA + endB - 2 * start, 1))
+    ),
+    ...a.slice(endA).map(value => ({ type: 'equal', value }))
+  ];
+
+  // Merge adjacent operations of the same type
+  return ops.reduce((runs, op) => {
+    const last = runs[runs.length - 1];
+    if (last && last.type === op.type) {
+      last.value += op.value;
+    } else {
+      runs.push({ ...op });
+    }
+    return runs;
+  }, []);
+};
+
+/**
+ * Count inserted and deleted words in a diff
+ */
+const diffStats = (changes) => {
+  const countWords = (value) => (value.replace(/<[^>]*>/g, ' ').match(/\S+/g) || []).length;
+
+  return changes.reduce((stats, change) => {
+    if (change.type === 'insert') stats.added += countWords(change.value);
+    if (change.type === 'delete') stats.removed += countWords(change.value);
+    return stats;
+  }, { added: 0, removed: 0 });
+};
+
+module.exports = {
+  diffWords,
+  diffStats
+};
@@ -0,0 +1,268 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const slugify = require('slugify');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation rules
+const guestAuthorValidation = [
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+  body('email').optional({ nullable: true, checkFalsy: true }).isEmail().withMessage('Email must be valid'),
+  body('bio').optional({ nullable: true }).isLength({ max: 1000 }).withMessage('Bio must be under 1000 characters'),
+  body('avatar').optional({ nullable: true }).isString().withMessage('Avatar must be a string'),
+  body('website').optional({ nullable: true, checkFalsy: true }).isURL().withMessage('Website must be a valid URL')
+];
+
+/**
+ * Generate unique slug for a guest author. Slugs share the author
+ * filter with usernames, so they can't match an existing user either.
+ */
+const generateUniqueSlug = async (name, guestAuthorId = null) => {
+  let baseSlug = slugify(name, { lower: true, strict: true });
+  let slug = baseSlug;
+  let counter = 1;
+
+  while (true) {
+    const [existingGuest, existingUser] = await Promise.all([
+      prisma.guestAuthor.findUnique({
+        where: { slug },
+        select: { id: true }
+      }),
+      prisma.user.findUnique({
+        where: { username: slug },
+        select: { id: true }
+      })
+    ]);
+
+    if (!existingUser && (!existingGuest || (guestAuthorId && existingGuest.id === guestAuthorId))) {
+      break;
+    }
+
+    slug = `${baseSlug}-${counter}`;
+    counter++;
+  }
+
+  return slug;
+};
+
+/**
+ * GET /api/guest-authors
+ * Get all guest authors with the number of posts they're credited on
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { search } = req.query;
+
+    const guestAuthors = await prisma.guestAuthor.findMany({
+      where: search ? { name: { contains: search } } : {},
+      include: {
+        _count: {
+          select: { bylines: true }
+        }
+      },
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({
+      guestAuthors: guestAuthors.map(({ _count, email, ...guestAuthor }) => ({
+        ...guestAuthor,
+        postCount: _count.bylines
+      })),
+      total: guestAuthors.length
+    });
+  } catch (error) {
+    console.error('Get guest authors error:', error);
+    res.status(500).json({
+      error: 'Failed to get guest authors',
+      code: 'GET_GUEST_AUTHORS_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/guest-authors/:slug
+ * Get guest author profile
+ */
+router.get('/:slug', async (req, res) => {
+  try {
+    const guestAuthor = await prisma.guestAuthor.findUnique({
+      where: { slug: req.params.slug },
+      include: {
+        _count: {
+          select: { bylines: true }
+        }
+      }
+    });
+
+    if (!guestAuthor) {
+      return res.status(404).json({
+        error: 'Guest author not found',
+        code: 'GUEST_AUTHOR_NOT_FOUND'
+      });
+    }
+
+    const { _count, email, ...profile } = guestAuthor;
+
+    res.json({
+      guestAuthor: {
+        ...profile,
+        postCount: _count.bylines
+      }
+    });
+  } catch (error) {
+    console.error('Get guest author error:', error);
+    res.status(500).json({
+      error: 'Failed to get guest author',
+      code: 'GET_GUEST_AUTHOR_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/guest-authors
+ * Create guest author
+ */
+router.post('/', authenticateToken, requireRole(['ADMIN', 'EDITOR']), [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  ...guestAuthorValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, email, bio, avatar, website } = req.body;
+
+    const guestAuthor = await prisma.guestAuthor.create({
+      data: {
+        name,
+        slug: await generateUniqueSlug(name),
+        email: email || null,
+        bio,
+        avatar,
+        website: website || null
+      }
+    });
+
+    res.status(201).json({
+      message: 'Guest author created successfully',
+      guestAuthor
+    });
+  } catch (error) {
+    console.error('Create guest author error:', error);
+    res.status(500).json({
+      error: 'Failed to create guest author',
+      code: 'CREATE_GUEST_AUTHOR_ERROR'
+    });
+  }
+});
+
+/**
+ * PUT /api/guest-authors/:id
+ * Update guest author
+ */
+router.put('/:id', authenticateToken, requireRole(['ADMIN', 'EDITOR']), guestAuthorValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { name, email, bio, avatar, website } = req.body;
+
+    const guestAuthor = await prisma.guestAuthor.findUnique({
+      where: { id }
+    });
+
+    if (!guestAuthor) {
+      return res.status(404).json({
+        error: 'Guest author not found',
+        code: 'GUEST_AUTHOR_NOT_FOUND'
+      });
+    }
+
+    // Regenerate slug if name changed
+    let slug = guestAuthor.slug;
+    if (name !== undefined && name !== guestAuthor.name) {
+      slug = await generateUniqueSlug(name, id);
+    }
+
+    const updatedGuestAuthor = await prisma.guestAuthor.update({
+      where: { id },
+      data: {
+        name: name !== undefined ? name : guestAuthor.name,
+        slug,
+        email: email !== undefined ? email || null : guestAuthor.email,
+        bio: bio !== undefined ? bio : guestAuthor.bio,
+        avatar: avatar !== undefined ? avatar : guestAuthor.avatar,
+        website: website !== undefined ? website || null : guestAuthor.website
+      }
+    });
+
+    res.json({
+      message: 'Guest author updated successfully',
+      guestAuthor: updatedGuestAuthor
+    });
+  } catch (error) {
+    console.error('Update guest author error:', error);
+    res.status(500).json({
+      error: 'Failed to update guest author',
+      code: 'UPDATE_GUEST_AUTHOR_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/guest-authors/:id
+ * Delete guest author and remove them from post bylines
+ */
+router.delete('/:id', authenticateToken, requireRole(['ADMIN', 'EDITOR']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const guestAuthor = await prisma.guestAuthor.findUnique({
+      where: { id },
+      include: {
+        _count: {
+          select: { bylines: true }
+        }
+      }
+    });
+
+    if (!guestAuthor) {
+      return res.status(404).json({
+        error: 'Guest author not found',
+        code: 'GUEST_AUTHOR_NOT_FOUND'
+      });
+    }
+
+    // Bylines are removed with the profile
+    await prisma.guestAuthor.delete({
+      where: { id }
+    });
+
+    res.json({
+      message: 'Guest author deleted successfully',
+      removedFromPosts: guestAuthor._count.bylines
+    });
+  } catch (error) {
+    console.error('Delete guest author error:', error);
+    res.status(500).json({
+      error: 'Failed to delete guest author',
+      code: 'DELETE_GUEST_AUTHOR_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,264 @@
+const sanitizeHtml = require('sanitize-html');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Site setting holding the policies an admin has changed
+const POLICY_SETTING_KEY = 'sanitizer_policies';
+
+// Post content is sanitized with the policy of the saving user's role;
+// comments always use the COMMENT policy
+const POLICY_NAMES = ['ADMIN', 'EDITOR', 'AUTHOR', 'COMMENT'];
+
+// Parts of a policy that can be configured
+const POLICY_KEYS = ['allowedTags', 'allowedAttributes', 'allowedSchemes', 'allowedIframeHostnames'];
+
+const AUTHOR_TAGS = [
+  'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'code',
+  'span', 'div', 'strong', 'b', 'em', 'i', 'u', 's', 'del', 'ins', 'sub', 'sup', 'mark',
+  'small', 'abbr', 'cite', 'q', 'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'a', 'img', 'figure',
+  'figcaption', 'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'section'
+];
+
+const AUTHOR_ATTRIBUTES = {
+  a: ['href', 'name', 'target', 'rel', 'title', 'id', 'class'],
+  img: ['src', 'alt', 'title', 'width', 'height', 'loading'],
+  code: ['class'],
+  pre: ['class'],
+  span: ['class'],
+  sup: ['class', 'id'],
+  section: ['class'],
+  ol: ['class', 'start'],
+  li: ['class', 'id'],
+  hr: ['class'],
+  th: ['colspan', 'rowspan', 'style'],
+  td: ['colspan', 'rowspan', 'style'],
+  h1: ['id'],
+  h2: ['id'],
+  h3: ['id'],
+  h4: ['id'],
+  h5: ['id'],
+  h6: ['id']
+};
+
+const EMBED_TAGS = ['iframe', 'video', 'audio', 'source'];
+
+const EMBED_ATTRIBUTES = {
+  iframe: ['src', 'width', 'height', 'title', 'allow', 'allowfullscreen', 'frameborder'],
+  video: ['src', 'poster', 'width', 'height', 'controls', 'muted', 'loop', 'playsinline'],
+  audio: ['src', 'controls', 'loop'],
+  source: ['src', 'type']
+};
+
+const DEFAULT_POLICIES = {
+  ADMIN: {
+    allowedTags: [...AUTHOR_TAGS, ...EMBED_TAGS],
+    allowedAttributes: { ...AUTHOR_ATTRIBUTES, ...EMBED_ATTRIBUTES },
+    allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+    allowedIframeHostnames: ['www.youtube.com', 'www.youtube-nocookie.com', 'player.vimeo.com']
+  },
+  EDITOR: {
+    allowedTags: [...AUTHOR_TAGS, ...EMBED_TAGS],
+    allowedAttributes: { ...AUTHOR_ATTRIBUTES, ...EMBED_ATTRIBUTES },
+    allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+    allowedIframeHostnames: ['www.youtube.com', 'www.youtube-nocookie.com', 'player.vimeo.com']
+  },
+  AUTHOR: {
+    allowedTags: AUTHOR_TAGS,
+    allowedAttributes: AUTHOR_ATTRIBUTES,
+    allowedSchemes: ['http', 'https', 'mailto'],
+    allowedIframeHostnames: []
+  },
+  COMMENT: {
+    allowedTags: ['p', 'br', 'strong', 'b', 'em', 'i', 'code', 'pre', 'blockquote', 'ul', 'ol', 'li', 'a'],
+    allowedAttributes: { a: ['href', 'title'] },
+    allowedSchemes: ['http', 'https'],
+    allowedIframeHostnames: []
+  }
+};
+
+// Classes kept whatever the policy, so highlighted code and footnotes
+// from Markdown posts survive
+const ALLOWED_CLASSES = {
+  code: [/^language-[\w-]+$/],
+  pre: [/^language-[\w-]+$/],
+  span: [/^hljs(-[\w-]+)?$/],
+  a: ['footnote-backref'],
+  sup: ['footnote-ref'],
+  section: ['footnotes'],
+  ol: ['footnotes-list'],
+  li: ['footnote-item'],
+  hr: ['footnotes-sep']
+};
+
+const ALLOWED_STYLES = {
+  th: { 'text-align': [/^(left|right|center)$/] },
+  td: { 'text-align': [/^(left|right|center)$/] }
+};
+
+let storedPolicies = null;
+
+/**
+ * Policies changed by an admin, keyed by policy name
+ */
+const getStoredPolicies = async () => {
+  if (!storedPolicies) {
+    const setting = await prisma.siteSettings.findUnique({
+      where: { key: POLICY_SETTING_KEY }
+    });
+    storedPolicies = setting ? JSON.parse(setting.value) : {};
+  }
+  return storedPolicies;
+};
+
+/**
+ * Allowlist for a role or COMMENT, with admin changes over the defaults.
+ * Unknown roles get the strictest post policy.
+ */
+const getSanitizerPolicy = async (name) => {
+  const policyName = POLICY_NAMES.includes(name) ? name : 'AUTHOR';
+  const stored = await getStoredPolicies();
+  return { ...DEFAULT_POLICIES[policyName], ...(stored[policyName] || {}) };
+};
+
+/**
+ * Allowlist for a post's content. It follows the role of the post's
+ * owner, not of whoever saves it, so an editor touching an author's post
+ * can't widen what the post may contain.
+ */
+const getPostSanitizerPolicy = async (authorId) => {
+  const owner = await prisma.user.findUnique({
+    where: { id: authorId },
+    select: { role: true }
+  });
+  return getSanitizerPolicy(owner ? owner.role : null);
+};
+
+/**
+ * Every policy, flagging the ones changed from their defaults
+ */
+const getSanitizerPolicies = async () => {
+  const stored = await getStoredPolicies();
+  const policies = {};
+
+  for (const name of POLICY_NAMES) {
+    policies[name] = {
+      ...(await getSanitizerPolicy(name)),
+      customized: Boolean(stored[name])
+    };
+  }
+
+  return policies;
+};
+
+/**
+ * Problems with a policy sent by an admin, or null when it's usable
+ */
+const validateSanitizerPolicy = (policy) => {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return 'Policy must be an object';
+  }
+
+  const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+  for (const key of ['allowedTags', 'allowedSchemes', 'allowedIframeHostnames']) {
+    if (policy[key] !== undefined && !isStringList(policy[key])) {
+      return `${key} must be an array of strings`;
+    }
+  }
+
+  if (policy.allowedTags && policy.allowedTags.some(tag => ['script', 'style'].includes(tag.toLowerCase()))) {
+    return 'Script and style tags can never be allowed';
+  }
+
+  if (policy.allowedAttributes !== undefined) {
+    const attributes = policy.allowedAttributes;
+    if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) {
+      return 'allowedAttributes must map tags to arrays of attribute names';
+    }
+
+    for (const [tag, names] of Object.entries(attributes)) {
+      if (!isStringList(names)) {
+        return `Attributes for ${tag} must be an array of strings`;
+      }
+      if (names.some(name => /^on/i.test(name))) {
+        return 'Event handler attributes can never be allowed';
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Replace a policy, or reset it to the default when policy is null
+ */
+const saveSanitizerPolicy = async (name, policy) => {
+  const stored = { ...(await getStoredPolicies()) };
+
+  if (policy) {
+    stored[name] = POLICY_KEYS.reduce((saved, key) => {
+      if (policy[key] !== undefined) saved[key] = policy[key];
+      return saved;
+    }, {});
+  } else {
+    delete stored[name];
+  }
+
+  await prisma.siteSettings.upsert({
+    where: { key: POLICY_SETTING_KEY },
+    update: { value: JSON.stringify(stored) },
+    create: {
+      key: POLICY_SETTING_KEY,
+      value: JSON.stringify(stored),
+      type: 'json',
+      description: 'HTML allowed in post content per role, and in comments'
+    }
+  });
+
+  storedPolicies = stored;
+  return getSanitizerPolicy(name);
+};
+
+/**
+ * Strip everything the policy doesn't allow from an HTML string
+ */
+const sanitizeContent = (html, policy) => {
+  return sanitizeHtml(html || '', {
+    allowedTags: policy.allowedTags,
+    allowedAttributes: policy.allowedAttributes,
+    allowedClasses: ALLOWED_CLASSES,
+    allowedStyles: ALLOWED_STYLES,
+    allowedSchemes: policy.allowedSchemes,
+    allowedIframeHostnames: policy.allowedIframeHostnames,
+    allowProtocolRelative: false,
+    transformTags: {
+      // Links opening a new tab can't reach back into the site
+      a: (tagName, attribs) => ({
+        tagName,
+        attribs: attribs.target === '_blank'
+          ? { ...attribs, rel: 'noopener noreferrer' }
+          : attribs
+      })
+    }
+  });
+};
+
+/**
+ * Sanitize comment text, whoever wrote it
+ */
+const sanitizeComment = async (content) => {
+  return sanitizeContent(content, await getSanitizerPolicy('COMMENT'));
+};
+
+module.exports = {
+  POLICY_NAMES,
+  DEFAULT_POLICIES,
+  getSanitizerPolicy,
+  getPostSanitizerPolicy,
+  getSanitizerPolicies,
+  validateSanitizerPolicy,
+  saveSanitizerPolicy,
+  sanitizeContent,
+  sanitizeComment
+};
@@ -3,6 +3,7 @@ const path = require('path');
 const fs = require('fs').promises;
 const { PrismaClient } = require('@prisma/client');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { parsePagination, buildPage } = require('../utils/pagination');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -131,15 +132,19 @@ router.post('/upload', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHO
 router.get('/', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR']), async (req, res) => {
   try {
     const {
-      page = 1,
-      limit = 20,
       type = 'all',
-      search = '',
-      sortBy = 'createdAt',
-      sortOrder = 'desc'
+      search = ''
     } = req.query;
 
-    const skip = (page - 1) * limit;
+    const pagination = parsePagination(req.query, {
+      sortable: ['createdAt', 'updatedAt', 'originalName', 'size', 'mimeType'],
+      defaultSort: 'createdAt',
+      defaultLimit: 20
+    });
+
+    if (pagination.error) {
+      return res.status(400).json(pagination.error);
+    }
 
     // Build where clause
     let where = {};
@@ -167,21 +172,16 @@ router.get('/', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR']), a
     const [media, total] = await Promise.all([
       prisma.media.findMany({
         where,
-        skip: parseInt(skip),
-        take: parseInt(limit),
-        orderBy: { [sortBy]: sortOrder }
+        ...pagination.findArgs
       }),
       prisma.media.count({ where })
     ]);
 
+    const { items, pagination: pageInfo } = buildPage(req, res, media, total, pagination);
+
     res.json({
-      media,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      media: items,
+      pagination: pageInfo
     });
   } catch (error) {
     console.error('Get media error:', error);
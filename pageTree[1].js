@@ -0,0 +1,108 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+/**
+ * Compare pages by menu order, then title
+ */
+const byMenuOrder = (a, b) => a.menuOrder - b.menuOrder || a.title.localeCompare(b.title);
+
+/**
+ * Map each page id to its URL path, e.g. "about/team".
+ * Pages need id, slug and parentId.
+ */
+const buildPagePaths = (pages) => {
+  const pagesById = new Map(pages.map(page => [page.id, page]));
+  const paths = new Map();
+
+  const resolve = (page, seen = new Set()) => {
+    if (paths.has(page.id)) return paths.get(page.id);
+
+    const parent = page.parentId && pagesById.get(page.parentId);
+
+    // A missing or circular parent makes the page top-level
+    const path = parent && !seen.has(parent.id)
+      ? `${resolve(parent, new Set([...seen, page.id]))}/${page.slug}`
+      : page.slug;
+
+    paths.set(page.id, path);
+    return path;
+  };
+
+  pages.forEach(page => resolve(page));
+
+  return paths;
+};
+
+/**
+ * Nest pages under their parents. Pages whose parent isn't in the
+ * list become roots.
+ */
+const buildPageTree = (pages) => {
+  const nodes = new Map(pages.map(page => [page.id, { ...page, children: [] }]));
+  const roots = [];
+
+  nodes.forEach(node => {
+    const parent = node.parentId && nodes.get(node.parentId);
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  nodes.forEach(node => node.children.sort(byMenuOrder));
+
+  return roots.sort(byMenuOrder);
+};
+
+/**
+ * Load the path of every page, whatever its status
+ */
+const getPagePaths = async () => {
+  const pages = await prisma.post.findMany({
+    where: { type: 'PAGE' },
+    select: {
+      id: true,
+      slug: true,
+      parentId: true
+    }
+  });
+
+  return buildPagePaths(pages);
+};
+
+/**
+ * Ids of a page and everything nested below it
+ */
+const getPageDescendantIds = async (pageId) => {
+  const pages = await prisma.post.findMany({
+    where: { type: 'PAGE' },
+    select: {
+      id: true,
+      parentId: true
+    }
+  });
+
+  const ids = new Set([pageId]);
+  let added = true;
+
+  while (added) {
+    added = false;
+    pages.forEach(page => {
+      if (page.parentId && ids.has(page.parentId) && !ids.has(page.id)) {
+        ids.add(page.id);
+        added = true;
+      }
+    });
+  }
+
+  return [...ids];
+};
+
+module.exports = {
+  buildPagePaths,
+  buildPageTree,
+  getPagePaths,
+  getPageDescendantIds
+};
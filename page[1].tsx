@@ -13,6 +13,7 @@ import { Post } from '@/types';
 
 export default function HomePage() {
   const [posts, setPosts] = useState<Post[]>([]);
+  const [featuredPosts, setFeaturedPosts] = useState<Post[]>([]);
   const [loading, setLoading] = useState(true);
   const [darkMode, setDarkMode] = useState(false);
 
@@ -30,8 +31,12 @@ export default function HomePage() {
 
   const fetchPosts = async () => {
     try {
-      const response = await postsAPI.getPosts({ limit: 6, sortBy: 'publishedAt', sortOrder: 'desc' });
-      setPosts(response.data.posts);
+      const [latestResponse, featuredResponse] = await Promise.all([
+        postsAPI.getPosts({ limit: 6 }),
+        postsAPI.getPosts({ featured: true, limit: 4 }),
+      ]);
+      setPosts(latestResponse.data.posts);
+      setFeaturedPosts(featuredResponse.data.posts);
     } catch (error) {
       console.error('Error fetching posts:', error);
     } finally {
@@ -51,6 +56,15 @@ export default function HomePage() {
     }
   };
 
+  const getAuthorNames = (post: Post) => {
+    if (post.authors?.length) {
+      return post.authors.map((author) => author.name).join(', ');
+    }
+    return post.author.firstName && post.author.lastName
+      ? `${post.author.firstName} ${post.author.lastName}`
+      : post.author.username;
+  };
+
   const formatDate = (dateString: string) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -59,10 +73,7 @@ export default function HomePage() {
     });
   };
 
-  const getReadingTime = (content: string) => {
-    const wordsPerMinute = 200;
-    const words = content.replace(/<[^>]*>/g, '').split(/\s+/).length;
-    const minutes = Math.ceil(words / wordsPerMinute);
+  const formatReadingTime = (minutes: number) => {
     return `${minutes} min read`;
   };
 
@@ -71,35 +82,105 @@ export default function HomePage() {
       <Header darkMode={darkMode} onToggleDarkMode={toggleDarkMode} />
       
       {/* Hero Section */}
-      <section className="bg-gradient-to-br from-primary/10 via-primary/5 to-transparent py-20">
-        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-          <div className="text-center">
-            <h1 className="text-4xl md:text-6xl font-bold text-gray-900 dark:text-white mb-6">
-              Welcome to Our
-              <span className="text-primary block">Blog Platform</span>
-            </h1>
-            <p className="text-xl text-gray-600 dark:text-gray-300 mb-8 max-w-3xl mx-auto">
-              Discover insightful articles, tutorials, and stories from our community of writers. 
-              Built with modern web technologies and optimized for performance.
-            </p>
-            <div className="flex flex-col sm:flex-row gap-4 justify-center">
-              <Link href="/blog">
-                <Button size="lg" className="w-full sm:w-auto">
-                  Explore Articles
-                  <ArrowRight className="ml-2 h-5 w-5" />
-                </Button>
-              </Link>
-              <Link href="/about">
-                <Button variant="outline" size="lg" className="w-full sm:w-auto">
-                  Learn More
-                </Button>
-              </Link>
+      {featuredPosts.length > 0 ? (
+        <section className="bg-gradient-to-br from-primary/10 via-primary/5 to-transparent py-12">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+              {featuredPosts.slice(0, 1).map((post) => (
+                <Link
+                  key={post.id}
+                  href={`/blog/${post.slug}`}
+                  className="group relative lg:col-span-2 min-h-[24rem] overflow-hidden rounded-lg bg-gray-900"
+                >
+                  {post.featuredImage && (
+                    <img
+                      src={post.featuredImage}
+                      alt={post.title}
+                      className="absolute inset-0 w-full h-full object-cover opacity-60 group-hover:scale-105 transition-transform duration-300"
+                    />
+                  )}
+                  <div className="relative flex h-full flex-col justify-end p-8">
+                    {post.category && (
+                      <Badge className="mb-4 w-fit" style={{ backgroundColor: post.category.color }}>
+                        {post.category.name}
+                      </Badge>
+                    )}
+                    <h1 className="text-3xl md:text-5xl font-bold text-white mb-4">
+                      {post.title}
+                    </h1>
+                    <p className="text-lg text-gray-200 line-clamp-2 mb-4">
+                      {post.excerpt || post.content.replace(/<[^>]*>/g, '').substring(0, 200) + '...'}
+                    </p>
+                    <div className="flex items-center text-sm text-gray-300">
+                      <User className="h-4 w-4 mr-1" />
+                      {getAuthorNames(post)}
+                      <CalendarDays className="h-4 w-4 ml-4 mr-1" />
+                      {formatDate(post.publishedAt || post.createdAt)}
+                    </div>
+                  </div>
+                </Link>
+              ))}
+
+              <div className="flex flex-col gap-6">
+                {featuredPosts.slice(1).map((post) => (
+                  <Link key={post.id} href={`/blog/${post.slug}`} className="group flex gap-4">
+                    {post.featuredImage && (
+                      <img
+                        src={post.featuredImage}
+                        alt={post.title}
+                        className="h-24 w-32 flex-shrink-0 rounded-lg object-cover"
+                      />
+                    )}
+                    <div>
+                      {post.category && (
+                        <span className="text-xs font-medium uppercase" style={{ color: post.category.color }}>
+                          {post.category.name}
+                        </span>
+                      )}
+                      <h2 className="font-semibold text-gray-900 dark:text-white line-clamp-2 group-hover:text-primary transition-colors">
+                        {post.title}
+                      </h2>
+                      <p className="text-sm text-gray-500 dark:text-gray-400">
+                        {formatDate(post.publishedAt || post.createdAt)}
+                      </p>
+                    </div>
+                  </Link>
+                ))}
+              </div>
             </div>
           </div>
-        </div>
-      </section>
+        </section>
+      ) : (
+        <section className="bg-gradient-to-br from-primary/10 via-primary/5 to-transparent py-20">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+            <div className="text-center">
+              <h1 className="text-4xl md:text-6xl font-bold text-gray-900 dark:text-white mb-6">
+                Welcome to Our
+                <span className="text-primary block">Blog Platform</span>
+              </h1>
+              <p className="text-xl text-gray-600 dark:text-gray-300 mb-8 max-w-3xl mx-auto">
+                Discover insightful articles, tutorials, and stories from our community of writers. 
+                Built with modern web technologies and optimized for performance.
+              </p>
+              <div className="flex flex-col sm:flex-row gap-4 justify-center">
+                <Link href="/blog">
+                  <Button size="lg" className="w-full sm:w-auto">
+                    Explore Articles
+                    <ArrowRight className="ml-2 h-5 w-5" />
+                  </Button>
+                </Link>
+                <Link href="/about">
+                  <Button variant="outline" size="lg" className="w-full sm:w-auto">
+                    Learn More
+                  </Button>
+                </Link>
+              </div>
+            </div>
+          </div>
+        </section>
+      )}
 
-      {/* Featured Posts */}
+      {/* Latest Posts */}
       <section className="py-16">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
           <div className="flex items-center justify-between mb-12">
@@ -175,9 +256,7 @@ export default function HomePage() {
                     <div className="flex items-center justify-between text-sm text-gray-500 dark:text-gray-400">
                       <div className="flex items-center">
                         <User className="h-4 w-4 mr-1" />
-                        {post.author.firstName && post.author.lastName
-                          ? `${post.author.firstName} ${post.author.lastName}`
-                          : post.author.username}
+                        {getAuthorNames(post)}
                       </div>
                       <div className="flex items-center space-x-4">
                         <div className="flex items-center">
@@ -186,7 +265,7 @@ export default function HomePage() {
                         </div>
                         <div className="flex items-center">
                           <Clock className="h-4 w-4 mr-1" />
-                          {getReadingTime(post.content)}
+                          {formatReadingTime(post.readingTime)}
                         </div>
                       </div>
                     </div>
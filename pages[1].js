@@ -0,0 +1,625 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, requireRole, optionalAuth } = require('../middleware/auth');
+const { syncSearchIndex, removeFromSearchIndex } = require('../utils/searchIndex');
+const { generateUniqueSlug, savePostRevision } = require('../utils/postHelpers');
+const { buildPagePaths, buildPageTree, getPageDescendantIds } = require('../utils/pageTree');
+const { metaInclude, formatMeta, validatePostMeta, savePostMeta } = require('../utils/postMeta');
+const { CONTENT_FORMATS, prepareContent } = require('../utils/markdown');
+const { parseTableOfContents } = require('../utils/readingStats');
+const { getSanitizerPolicy, getPostSanitizerPolicy } = require('../utils/htmlSanitizer');
+const { VERSION_BUMP } = require('../utils/postLocks');
+const { DEFAULT_LOCALE } = require('../utils/translations');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation rules
+const pageValidation = [
+  body('title').isLength({ min: 1, max: 200 }).withMessage('Title is required and must be under 200 characters'),
+  body('content').isLength({ min: 1 }).withMessage('Content is required'),
+  body('contentFormat').optional().isIn(CONTENT_FORMATS).withMessage('Content format must be HTML or MARKDOWN'),
+  body('excerpt').optional().isLength({ max: 500 }).withMessage('Excerpt must be under 500 characters'),
+  body('status').optional().isIn(['DRAFT', 'PUBLISHED', 'SCHEDULED', 'PRIVATE']).withMessage('Invalid status'),
+  body('parentId').optional({ nullable: true }).isString().withMessage('Parent ID must be a string'),
+  body('menuOrder').optional().isInt({ min: 0 }).withMessage('Menu order must be a positive integer'),
+  body('template').optional({ nullable: true }).matches(/^[a-z0-9-]{1,50}$/).withMessage('Template must be a lowercase name like full-width'),
+  body('metaTitle').optional().isLength({ max: 60 }).withMessage('Meta title must be under 60 characters'),
+  body('metaDescription').optional().isLength({ max: 160 }).withMessage('Meta description must be under 160 characters')
+];
+
+// Fields returned in page listings
+const pageListSelect = {
+  id: true,
+  title: true,
+  slug: true,
+  excerpt: true,
+  status: true,
+  publishedAt: true,
+  updatedAt: true,
+  parentId: true,
+  menuOrder: true,
+  template: true
+};
+
+/**
+ * Check that a page can be placed under the given parent
+ */
+const validateParent = async (parentId, pageId = null) => {
+  if (!parentId) return null;
+
+  const parent = await prisma.post.findUnique({
+    where: { id: parentId },
+    select: { id: true, type: true }
+  });
+
+  if (!parent || parent.type !== 'PAGE') {
+    return {
+      status: 400,
+      error: 'Parent page not found',
+      code: 'PARENT_NOT_FOUND'
+    };
+  }
+
+  if (pageId) {
+    const descendantIds = await getPageDescendantIds(pageId);
+
+    if (descendantIds.includes(parentId)) {
+      return {
+        status: 400,
+        error: 'A page cannot be moved under itself or one of its children',
+        code: 'INVALID_PARENT'
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Published pages that are live right now
+ */
+const isLive = (page) => page.status === 'PUBLISHED' && page.publishedAt <= new Date();
+
+/**
+ * GET /api/pages
+ * Get all pages, flat or as a tree (?tree=true)
+ */
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const { status, tree } = req.query;
+    const isStaff = req.user && ['ADMIN', 'EDITOR'].includes(req.user.role);
+
+    let where = { type: 'PAGE' };
+
+    if (!isStaff) {
+      where.status = 'PUBLISHED';
+      where.publishedAt = { lte: new Date() };
+    } else if (status && status !== 'ALL') {
+      where.status = status;
+    } else {
+      where.status = { not: 'TRASH' };
+    }
+
+    const [pages, allPages] = await Promise.all([
+      prisma.post.findMany({
+        where,
+        select: pageListSelect,
+        orderBy: [{ menuOrder: 'asc' }, { title: 'asc' }]
+      }),
+      prisma.post.findMany({
+        where: { type: 'PAGE' },
+        select: { id: true, slug: true, parentId: true }
+      })
+    ]);
+
+    const paths = buildPagePaths(allPages);
+    const pagesWithPaths = pages.map(page => ({
+      ...page,
+      path: paths.get(page.id)
+    }));
+
+    res.json({
+      pages: tree === 'true' ? buildPageTree(pagesWithPaths) : pagesWithPaths,
+      total: pages.length
+    });
+  } catch (error) {
+    console.error('Get pages error:', error);
+    res.status(500).json({
+      error: 'Failed to get pages',
+      code: 'GET_PAGES_ERROR'
+    });
+  }
+});
+
+/**
+ * PUT /api/pages/reorder
+ * Set the menu order of sibling pages
+ */
+router.put('/reorder', authenticateToken, requireRole(['ADMIN', 'EDITOR']), [
+  body('pageIds').isArray({ min: 1 }).withMessage('Page IDs must be a non-empty array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { pageIds } = req.body;
+
+    const found = await prisma.post.count({
+      where: {
+        id: { in: pageIds },
+        type: 'PAGE'
+      }
+    });
+
+    if (found !== new Set(pageIds).size) {
+      return res.status(400).json({
+        error: 'One or more pages were not found',
+        code: 'PAGE_NOT_FOUND'
+      });
+    }
+
+    await prisma.$transaction(
+      pageIds.map((id, index) => prisma.post.update({
+        where: { id },
+        data: { menuOrder: index }
+      }))
+    );
+
+    const pages = await prisma.post.findMany({
+      where: { id: { in: pageIds } },
+      select: pageListSelect,
+      orderBy: { menuOrder: 'asc' }
+    });
+
+    res.json({
+      message: 'Pages reordered successfully',
+      pages
+    });
+  } catch (error) {
+    console.error('Reorder pages error:', error);
+    res.status(500).json({
+      error: 'Failed to reorder pages',
+      code: 'REORDER_PAGES_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/pages/:path
+ * Get a page by its full path, e.g. /api/pages/about/team
+ */
+router.get('/*', optionalAuth, async (req, res) => {
+  try {
+    const requestedPath = req.params[0].split('/').filter(Boolean).join('/');
+    const isStaff = req.user && ['ADMIN', 'EDITOR'].includes(req.user.role);
+
+    const allPages = await prisma.post.findMany({
+      where: { type: 'PAGE' },
+      select: {
+        id: true,
+        title: true,
+        slug: true,
+        status: true,
+        publishedAt: true,
+        parentId: true,
+        menuOrder: true
+      }
+    });
+
+    const paths = buildPagePaths(allPages);
+    const match = allPages.find(page => paths.get(page.id) === requestedPath);
+
+    if (!match || (!isStaff && !isLive(match))) {
+      return res.status(404).json({
+        error: 'Page not found',
+        code: 'PAGE_NOT_FOUND'
+      });
+    }
+
+    const page = await prisma.post.findUnique({
+      where: { id: match.id },
+      include: {
+        author: {
+          select: {
+            id: true,
+            username: true,
+            firstName: true,
+            lastName: true,
+            avatar: true
+          }
+        },
+        meta: metaInclude
+      }
+    });
+
+    // Walk up the tree for breadcrumbs
+    const pagesById = new Map(allPages.map(p => [p.id, p]));
+    const breadcrumbs = [];
+    let parent = pagesById.get(page.parentId);
+
+    while (parent && !breadcrumbs.some(crumb => crumb.id === parent.id)) {
+      breadcrumbs.unshift({
+        id: parent.id,
+        title: parent.title,
+        path: paths.get(parent.id)
+      });
+      parent = pagesById.get(parent.parentId);
+    }
+
+    const children = allPages
+      .filter(child => child.parentId === page.id && (isStaff || isLive(child)))
+      .sort((a, b) => a.menuOrder - b.menuOrder || a.title.localeCompare(b.title))
+      .map(child => ({
+        id: child.id,
+        title: child.title,
+        path: paths.get(child.id)
+      }));
+
+    // Only readers count as views: staff checking drafts, scheduled
+    // pages or their own edits don't
+    if (!isStaff && isLive(page)) {
+      await prisma.post.update({
+        where: { id: page.id },
+        data: { viewCount: { increment: 1 } }
+      });
+    }
+
+    res.json({
+      page: {
+        ...page,
+        meta: formatMeta(page.meta),
+        tableOfContents: parseTableOfContents(page.tableOfContents),
+        path: paths.get(page.id),
+        breadcrumbs,
+        children
+      }
+    });
+  } catch (error) {
+    console.error('Get page error:', error);
+    res.status(500).json({
+      error: 'Failed to get page',
+      code: 'GET_PAGE_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/pages
+ * Create new page
+ */
+router.post('/', authenticateToken, requireRole(['ADMIN', 'EDITOR']), pageValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const {
+      title,
+      content,
+      contentFormat = 'HTML',
+      excerpt,
+      featuredImage,
+      status = 'DRAFT',
+      scheduledAt,
+      parentId = null,
+      menuOrder = 0,
+      template = null,
+      meta,
+      metaTitle,
+      metaDescription,
+      canonicalUrl,
+      ogTitle,
+      ogDescription,
+      ogImage,
+      twitterTitle,
+      twitterDescription,
+      twitterImage
+    } = req.body;
+
+    const parentError = await validateParent(parentId);
+    if (parentError) {
+      return res.status(parentError.status).json({
+        error: parentError.error,
+        code: parentError.code
+      });
+    }
+
+    const metaChanges = await validatePostMeta(meta || {}, 'PAGE', { isNew: true });
+    if (metaChanges.errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid custom field values',
+        code: 'INVALID_META',
+        details: metaChanges.errors
+      });
+    }
+
+    const slug = await generateUniqueSlug(title);
+
+    let publishedAt = null;
+    if (status === 'PUBLISHED') {
+      publishedAt = new Date();
+    } else if (status === 'SCHEDULED' && scheduledAt) {
+      publishedAt = new Date(scheduledAt);
+    }
+
+    const page = await prisma.post.create({
+      data: {
+        type: 'PAGE',
+        title,
+        slug,
+        ...prepareContent(content, contentFormat, await getSanitizerPolicy(req.user.role)),
+        excerpt,
+        featuredImage,
+        status,
+        publishedAt,
+        scheduledAt: scheduledAt ? new Date(scheduledAt) : null,
+        parentId,
+        menuOrder: parseInt(menuOrder),
+        template,
+        locale: DEFAULT_LOCALE,
+        authorId: req.user.id,
+        metaTitle,
+        metaDescription,
+        canonicalUrl,
+        ogTitle,
+        ogDescription,
+        ogImage,
+        twitterTitle,
+        twitterDescription,
+        twitterImage
+      }
+    });
+
+    await savePostMeta(page.id, metaChanges);
+    await syncSearchIndex(page.id);
+
+    const savedMeta = await prisma.postMeta.findMany({
+      where: { postId: page.id },
+      ...metaInclude
+    });
+
+    res.status(201).json({
+      message: 'Page created successfully',
+      page: {
+        ...page,
+        meta: formatMeta(savedMeta),
+        tableOfContents: parseTableOfContents(page.tableOfContents)
+      }
+    });
+  } catch (error) {
+    console.error('Create page error:', error);
+    res.status(500).json({
+      error: 'Failed to create page',
+      code: 'CREATE_PAGE_ERROR'
+    });
+  }
+});
+
+/**
+ * PUT /api/pages/:id
+ * Update page
+ */
+router.put('/:id', authenticateToken, requireRole(['ADMIN', 'EDITOR']), pageValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const {
+      title,
+      content,
+      contentFormat,
+      excerpt,
+      featuredImage,
+      status,
+      scheduledAt,
+      parentId,
+      menuOrder,
+      template,
+      meta,
+      metaTitle,
+      metaDescription,
+      canonicalUrl,
+      ogTitle,
+      ogDescription,
+      ogImage,
+      twitterTitle,
+      twitterDescription,
+      twitterImage
+    } = req.body;
+
+    const existingPage = await prisma.post.findUnique({
+      where: { id },
+      include: {
+        tags: {
+          include: {
+            tag: true
+          }
+        }
+      }
+    });
+
+    if (!existingPage || existingPage.type !== 'PAGE') {
+      return res.status(404).json({
+        error: 'Page not found',
+        code: 'PAGE_NOT_FOUND'
+      });
+    }
+
+    if (parentId !== undefined) {
+      const parentError = await validateParent(parentId, id);
+      if (parentError) {
+        return res.status(parentError.status).json({
+          error: parentError.error,
+          code: parentError.code
+        });
+      }
+    }
+
+    const metaChanges = meta !== undefined ? await validatePostMeta(meta, 'PAGE') : null;
+    if (metaChanges && metaChanges.errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid custom field values',
+        code: 'INVALID_META',
+        details: metaChanges.errors
+      });
+    }
+
+    // Keep the previous version before overwriting it
+    await savePostRevision(existingPage, req.user.id);
+
+    let slug = existingPage.slug;
+    if (title !== existingPage.title) {
+      slug = await generateUniqueSlug(title, id);
+    }
+
+    // The publish date only changes when a status is sent
+    let publishedAt = existingPage.publishedAt;
+    if (status !== undefined) {
+      if (status === 'PUBLISHED' && existingPage.status !== 'PUBLISHED') {
+        publishedAt = new Date();
+      } else if (status === 'SCHEDULED' && scheduledAt) {
+        publishedAt = new Date(scheduledAt);
+      } else if (status !== 'PUBLISHED' && status !== 'SCHEDULED') {
+        publishedAt = null;
+      }
+    }
+
+    let nextScheduledAt = existingPage.scheduledAt;
+    if (scheduledAt !== undefined) {
+      nextScheduledAt = scheduledAt ? new Date(scheduledAt) : null;
+    }
+
+    const page = await prisma.post.update({
+      where: { id },
+      data: {
+        ...VERSION_BUMP,
+        title,
+        slug,
+        ...prepareContent(content, contentFormat || existingPage.contentFormat, await getPostSanitizerPolicy(existingPage.authorId)),
+        excerpt,
+        featuredImage,
+        status,
+        publishedAt,
+        scheduledAt: nextScheduledAt,
+        parentId: parentId !== undefined ? parentId : existingPage.parentId,
+        menuOrder: menuOrder !== undefined ? parseInt(menuOrder) : existingPage.menuOrder,
+        template: template !== undefined ? template : existingPage.template,
+        metaTitle,
+        metaDescription,
+        canonicalUrl,
+        ogTitle,
+        ogDescription,
+        ogImage,
+        twitterTitle,
+        twitterDescription,
+        twitterImage
+      }
+    });
+
+    if (metaChanges) {
+      await savePostMeta(id, metaChanges);
+    }
+    await syncSearchIndex(id);
+
+    const savedMeta = await prisma.postMeta.findMany({
+      where: { postId: id },
+      ...metaInclude
+    });
+
+    res.json({
+      message: 'Page updated successfully',
+      page: {
+        ...page,
+        meta: formatMeta(savedMeta),
+        tableOfContents: parseTableOfContents(page.tableOfContents)
+      }
+    });
+  } catch (error) {
+    console.error('Update page error:', error);
+    res.status(500).json({
+      error: 'Failed to update page',
+      code: 'UPDATE_PAGE_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/pages/:id
+ * Delete page permanently. A page with child pages is only deleted with
+ * { reparentChildren: true }, which moves the children up to its parent.
+ */
+router.delete('/:id', authenticateToken, requireRole(['ADMIN', 'EDITOR']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reparentChildren = req.body.reparentChildren === true || req.query.reparentChildren === 'true';
+
+    const page = await prisma.post.findUnique({
+      where: { id },
+      include: {
+        _count: {
+          select: { children: true }
+        }
+      }
+    });
+
+    if (!page || page.type !== 'PAGE') {
+      return res.status(404).json({
+        error: 'Page not found',
+        code: 'PAGE_NOT_FOUND'
+      });
+    }
+
+    const childCount = page._count.children;
+
+    if (childCount > 0 && !reparentChildren) {
+      return res.status(400).json({
+        error: `Page has ${childCount} child pages. Move them first or send reparentChildren: true.`,
+        code: 'PAGE_HAS_CHILDREN',
+        childCount
+      });
+    }
+
+    const [reparented] = await prisma.$transaction([
+      prisma.post.updateMany({
+        where: { parentId: id },
+        data: { parentId: page.parentId }
+      }),
+      prisma.post.delete({
+        where: { id }
+      })
+    ]);
+
+    await removeFromSearchIndex(id);
+
+    res.json({
+      message: 'Page deleted successfully',
+      reparentedChildren: reparented.count,
+      reparentedTo: reparented.count > 0 ? page.parentId : null
+    });
+  } catch (error) {
+    console.error('Delete page error:', error);
+    res.status(500).json({
+      error: 'Failed to delete page',
+      code: 'DELETE_PAGE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
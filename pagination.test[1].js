@@ -0,0 +1,125 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_LIMIT, parsePagination, buildPage } = require('../utils/pagination');
+
+const options = {
+  sortable: ['publishedAt', 'title'],
+  defaultSort: 'publishedAt',
+  defaultLimit: 10
+};
+
+// Just enough of Express for buildPage
+const fakeRequest = (query = {}) => ({
+  query,
+  protocol: 'http',
+  baseUrl: '/api/posts',
+  path: '/',
+  get: () => 'localhost:5000'
+});
+
+const fakeResponse = () => {
+  const headers = {};
+  return {
+    headers,
+    set: (name, value) => {
+      headers[name] = value;
+    }
+  };
+};
+
+const rows = (count) => Array.from({ length: count }, (_, i) => ({ id: `post-${i + 1}` }));
+
+test('defaults give the first page sorted newest first', () => {
+  const pagination = parsePagination({}, options);
+
+  assert.equal(pagination.page, 1);
+  assert.equal(pagination.limit, 10);
+  assert.deepEqual(pagination.findArgs, {
+    take: 11,
+    skip: 0,
+    orderBy: [{ publishedAt: 'desc' }, { id: 'desc' }]
+  });
+});
+
+test('page numbers skip whole pages', () => {
+  const { findArgs } = parsePagination({ page: '3', limit: '20' }, options);
+
+  assert.equal(findArgs.skip, 40);
+  assert.equal(findArgs.take, 21);
+});
+
+test('the limit is clamped and bad values fall back to the default', () => {
+  assert.equal(parsePagination({ limit: '5000' }, options).limit, MAX_LIMIT);
+  assert.equal(parsePagination({ limit: '0' }, options).limit, 10);
+  assert.equal(parsePagination({ limit: 'lots' }, options).limit, 10);
+  assert.equal(parsePagination({ page: '-2' }, options).page, 1);
+});
+
+test('only listed fields can be sorted on', () => {
+  const { error } = parsePagination({ sortBy: 'password' }, options);
+
+  assert.equal(error.code, 'INVALID_SORT_FIELD');
+  assert.deepEqual(error.allowed, options.sortable);
+});
+
+test('the sort order must be asc or desc, in any case', () => {
+  assert.equal(parsePagination({ sortOrder: 'ASC' }, options).sortOrder, 'asc');
+  assert.equal(parsePagination({ sortOrder: 'sideways' }, options).error.code, 'INVALID_SORT_ORDER');
+});
+
+test('repeated sort keys are rejected rather than thrown on', () => {
+  const { error } = parsePagination({ sortBy: ['title', 'publishedAt'] }, options);
+
+  assert.equal(error.code, 'INVALID_SORT_ORDER');
+});
+
+test('a next cursor continues after the last row of the page', () => {
+  const req = fakeRequest({ limit: '2', sortBy: 'title', sortOrder: 'asc' });
+  const res = fakeResponse();
+  const first = buildPage(req, res, rows(3), 5, parsePagination(req.query, options));
+
+  assert.deepEqual(first.items.map(item => item.id), ['post-1', 'post-2']);
+  assert.equal(first.pagination.hasMore, true);
+
+  const next = parsePagination({ ...req.query, cursor: first.pagination.nextCursor }, options);
+
+  assert.deepEqual(next.cursor, { id: 'post-2', s: 'title', o: 'asc' });
+  assert.deepEqual(next.findArgs.cursor, { id: 'post-2' });
+  assert.equal(next.findArgs.skip, 1);
+});
+
+test('cursors only work with the sort they were made for', () => {
+  const req = fakeRequest({ limit: '2' });
+  const { pagination } = buildPage(req, fakeResponse(), rows(3), 5, parsePagination(req.query, options));
+
+  const resorted = parsePagination({ cursor: pagination.nextCursor, sortBy: 'title' }, options);
+  assert.equal(resorted.error.code, 'INVALID_CURSOR');
+
+  assert.equal(parsePagination({ cursor: 'not-a-cursor' }, options).error.code, 'INVALID_CURSOR');
+});
+
+test('the last page has no next cursor or next link', () => {
+  const req = fakeRequest({ page: '3', limit: '2' });
+  const res = fakeResponse();
+  const { items, pagination } = buildPage(req, res, rows(1), 5, parsePagination(req.query, options));
+
+  assert.equal(items.length, 1);
+  assert.equal(pagination.hasMore, false);
+  assert.equal(pagination.nextCursor, null);
+  assert.equal(pagination.pages, 3);
+  assert.doesNotMatch(res.headers.Link, /rel="next"/);
+  assert.match(res.headers.Link, /page=2&limit=2>; rel="prev"/);
+});
+
+test('page links keep the other query values', () => {
+  const req = fakeRequest({ page: '1', limit: '2', category: 'news', meta: { rating: { gte: '4' } } });
+  const res = fakeResponse();
+  buildPage(req, res, rows(3), 5, parsePagination(req.query, options));
+
+  const next = res.headers.Link.split(', ').find(link => link.endsWith('rel="next"'));
+  const url = new URL(next.slice(1, next.indexOf('>')));
+
+  assert.equal(url.searchParams.get('page'), '2');
+  assert.equal(url.searchParams.get('category'), 'news');
+  assert.equal(url.searchParams.get('meta[rating][gte]'), '4');
+});
@@ -0,0 +1,198 @@
+const MAX_LIMIT = 100;
+
+/**
+ * Encode a cursor as an opaque URL-safe token
+ */
+const encodeCursor = (id, sortBy, sortOrder) => {
+  return Buffer.from(JSON.stringify({ id, s: sortBy, o: sortOrder })).toString('base64url');
+};
+
+/**
+ * Decode a cursor token, returning null if it is malformed
+ */
+const decodeCursor = (token) => {
+  if (typeof token !== 'string') return null;
+
+  try {
+    const cursor = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    return cursor && typeof cursor.id === 'string' ? cursor : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Parse page/limit/cursor/sortBy/sortOrder from the query string.
+ * Only fields listed in `sortable` can be sorted on, and the limit is
+ * clamped to `maxLimit`. Returns { error } when the query is invalid,
+ * otherwise the Prisma findMany arguments and the resolved values.
+ */
+const parsePagination = (query, {
+  sortable,
+  defaultSort,
+  defaultOrder = 'desc',
+  defaultLimit = 10,
+  maxLimit = MAX_LIMIT
+}) => {
+  const sortBy = query.sortBy || defaultSort;
+  const requestedOrder = query.sortOrder || defaultOrder;
+
+  // Repeated query keys arrive as arrays
+  if (typeof sortBy !== 'string' || typeof requestedOrder !== 'string') {
+    return {
+      error: {
+        error: 'Sort field and order must be single values',
+        code: 'INVALID_SORT_ORDER'
+      }
+    };
+  }
+
+  if (!sortable.includes(sortBy)) {
+    return {
+      error: {
+        error: `Cannot sort by ${sortBy}`,
+        code: 'INVALID_SORT_FIELD',
+        allowed: sortable
+      }
+    };
+  }
+
+  const sortOrder = requestedOrder.toLowerCase();
+
+  if (!['asc', 'desc'].includes(sortOrder)) {
+    return {
+      error: {
+        error: 'Sort order must be asc or desc',
+        code: 'INVALID_SORT_ORDER'
+      }
+    };
+  }
+
+  const requestedLimit = parseInt(query.limit);
+  const limit = Number.isNaN(requestedLimit) || requestedLimit < 1
+    ? defaultLimit
+    : Math.min(requestedLimit, maxLimit);
+
+  // Ties on the sort field are broken by id so cursors stay stable
+  const orderBy = sortBy === 'id'
+    ? [{ id: sortOrder }]
+    : [{ [sortBy]: sortOrder }, { id: sortOrder }];
+
+  // One extra row tells us whether there is another page
+  const findArgs = {
+    take: limit + 1,
+    orderBy
+  };
+
+  let page = 1;
+  let cursor = null;
+
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+
+    if (!cursor || cursor.s !== sortBy || cursor.o !== sortOrder) {
+      return {
+        error: {
+          error: 'Invalid or expired cursor',
+          code: 'INVALID_CURSOR'
+        }
+      };
+    }
+
+    findArgs.cursor = { id: cursor.id };
+    findArgs.skip = 1;
+  } else {
+    const requestedPage = parseInt(query.page);
+    page = Number.isNaN(requestedPage) || requestedPage < 1 ? 1 : requestedPage;
+    findArgs.skip = (page - 1) * limit;
+  }
+
+  return {
+    limit,
+    page,
+    cursor,
+    sortBy,
+    sortOrder,
+    findArgs
+  };
+};
+
+/**
+ * Build an absolute URL for the current route with some query values replaced
+ */
+const buildPageUrl = (req, changes) => {
+  const params = new URLSearchParams();
+
+  // Nested filters such as meta[rating][gte]=4 keep their bracket names
+  const append = (key, value) => {
+    if (value === undefined || value === null || value === '') return;
+
+    if (Array.isArray(value)) {
+      value.forEach(item => append(key, item));
+    } else if (typeof value === 'object') {
+      Object.entries(value).forEach(([child, childValue]) => append(`${key}[${child}]`, childValue));
+    } else {
+      params.append(key, String(value));
+    }
+  };
+
+  Object.entries({ ...req.query, ...changes }).forEach(([key, value]) => append(key, value));
+
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}?${params.toString()}`;
+};
+
+/**
+ * Trim the look-ahead row, set the Link header and return the page
+ * items with pagination metadata
+ */
+const buildPage = (req, res, rows, total, pagination) => {
+  const { limit, page, cursor, sortBy, sortOrder } = pagination;
+
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+  const nextCursor = hasMore
+    ? encodeCursor(items[items.length - 1].id, sortBy, sortOrder)
+    : null;
+
+  const links = [];
+
+  if (cursor) {
+    links.push(`<${buildPageUrl(req, { cursor: undefined, page: undefined })}>; rel="first"`);
+    if (nextCursor) {
+      links.push(`<${buildPageUrl(req, { cursor: nextCursor, page: undefined })}>; rel="next"`);
+    }
+  } else {
+    const pages = Math.ceil(total / limit);
+
+    links.push(`<${buildPageUrl(req, { page: 1 })}>; rel="first"`);
+    if (page > 1) {
+      links.push(`<${buildPageUrl(req, { page: page - 1 })}>; rel="prev"`);
+    }
+    if (hasMore) {
+      links.push(`<${buildPageUrl(req, { page: page + 1 })}>; rel="next"`);
+    }
+    if (pages > 0) {
+      links.push(`<${buildPageUrl(req, { page: pages })}>; rel="last"`);
+    }
+  }
+
+  res.set('Link', links.join(', '));
+
+  return {
+    items,
+    pagination: {
+      page: cursor ? null : page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      hasMore,
+      nextCursor
+    }
+  };
+};
+
+module.exports = {
+  MAX_LIMIT,
+  parsePagination,
+  buildPage
+};
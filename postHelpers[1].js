@@ -0,0 +1,185 @@
+const { PrismaClient } = require('@prisma/client');
+const slugify = require('slugify');
+
+const prisma = new PrismaClient();
+
+/**
+ * Generate unique slug for post
+ */
+const generateUniqueSlug = async (title, postId = null) => {
+  let baseSlug = slugify(title, { lower: true, strict: true });
+  let slug = baseSlug;
+  let counter = 1;
+
+  while (true) {
+    const [existingPost, redirect] = await Promise.all([
+      prisma.post.findUnique({
+        where: { slug },
+        select: { id: true }
+      }),
+      prisma.slugRedirect.findUnique({
+        where: { slug },
+        select: { postId: true }
+      })
+    ]);
+
+    // Slugs other posts used to have stay taken, so their old links keep working
+    const takenByPost = existingPost && existingPost.id !== postId;
+    const takenByRedirect = redirect && redirect.postId !== postId;
+
+    if (!takenByPost && !takenByRedirect) {
+      break;
+    }
+
+    slug = `${baseSlug}-${counter}`;
+    counter++;
+  }
+
+  return slug;
+};
+
+/**
+ * Keep a post's old slug pointing at it after the slug changes.
+ * A post taking back one of its old slugs stops redirecting from it.
+ */
+const recordSlugChange = async (postId, oldSlug, newSlug, client = prisma) => {
+  if (oldSlug === newSlug) return;
+
+  await client.slugRedirect.deleteMany({
+    where: { slug: newSlug }
+  });
+
+  await client.slugRedirect.upsert({
+    where: { slug: oldSlug },
+    create: { slug: oldSlug, postId },
+    update: { postId }
+  });
+};
+
+/**
+ * The post a retired slug now leads to, or null
+ */
+const findRedirectedPost = async (slug) => {
+  const redirect = await prisma.slugRedirect.findUnique({
+    where: { slug },
+    include: {
+      post: {
+        select: {
+          id: true,
+          slug: true,
+          type: true,
+          status: true,
+          publishedAt: true
+        }
+      }
+    }
+  });
+
+  return redirect ? redirect.post : null;
+};
+
+/**
+ * Find a tag by the slug of its name, creating it if needed
+ */
+const findOrCreateTag = async (tagName, client = prisma) => {
+  const tagSlug = slugify(tagName, { lower: true, strict: true });
+  let tag = await client.tag.findUnique({ where: { slug: tagSlug } });
+
+  if (!tag) {
+    tag = await client.tag.create({
+      data: {
+        name: tagName,
+        slug: tagSlug
+      }
+    });
+  }
+
+  return tag;
+};
+
+/**
+ * Replace a post's tags, creating any tags that don't exist yet
+ */
+const syncPostTags = async (postId, tags = []) => {
+  await prisma.postTag.deleteMany({ where: { postId } });
+
+  if (tags.length === 0) {
+    return;
+  }
+
+  const tagConnections = [];
+
+  for (const tagName of tags) {
+    const tag = await findOrCreateTag(tagName);
+
+    if (!tagConnections.some(connection => connection.tagId === tag.id)) {
+      tagConnections.push({
+        postId,
+        tagId: tag.id
+      });
+    }
+  }
+
+  await prisma.postTag.createMany({
+    data: tagConnections
+  });
+};
+
+// Post fields captured in every revision
+const REVISION_FIELDS = [
+  'title',
+  'slug',
+  'content',
+  'contentFormat',
+  'contentSource',
+  'excerpt',
+  'featuredImage',
+  'status',
+  'scheduledAt',
+  'categoryId',
+  'metaTitle',
+  'metaDescription',
+  'canonicalUrl',
+  'ogTitle',
+  'ogDescription',
+  'ogImage',
+  'twitterTitle',
+  'twitterDescription',
+  'twitterImage'
+];
+
+/**
+ * Build a revision snapshot from a post loaded with its tags
+ */
+const toRevisionData = (post) => {
+  const data = {};
+  REVISION_FIELDS.forEach(field => {
+    data[field] = post[field];
+  });
+  data.tags = JSON.stringify(post.tags.map(pt => pt.tag.name));
+  return data;
+};
+
+/**
+ * Store the current state of a post as a revision
+ */
+const savePostRevision = (post, editorId, client = prisma) => {
+  return client.postRevision.create({
+    data: {
+      ...toRevisionData(post),
+      postId: post.id,
+      editorId
+    }
+  });
+};
+
+module.exports = {
+  REVISION_FIELDS,
+  generateUniqueSlug,
+  recordSlugChange,
+  findRedirectedPost,
+  findOrCreateTag,
+  syncPostTags,
+  toRevisionData,
+  savePostRevision
+};
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getPostEtag, hasVersionPrecondition, isStaleVersion } = require('../utils/postLocks');
+
+const post = { id: 'post-1', version: 3 };
+
+const request = ({ ifMatch, version } = {}) => ({
+  headers: ifMatch === undefined ? {} : { 'if-match': ifMatch },
+  body: version === undefined ? {} : { version }
+});
+
+test('the ETag is the quoted version', () => {
+  assert.equal(getPostEtag(post), '"3"');
+});
+
+test('a save states its version with If-Match or a body version', () => {
+  assert.equal(hasVersionPrecondition(request({ ifMatch: '"3"' })), true);
+  assert.equal(hasVersionPrecondition(request({ version: 3 })), true);
+  assert.equal(hasVersionPrecondition(request({ version: 0 })), true);
+  assert.equal(hasVersionPrecondition(request()), false);
+  assert.equal(hasVersionPrecondition(request({ version: null })), false);
+  assert.equal(hasVersionPrecondition(request({ ifMatch: '' })), false);
+});
+
+test('If-Match with the current ETag is not stale', () => {
+  assert.equal(isStaleVersion(request({ ifMatch: '"3"' }), post), false);
+  assert.equal(isStaleVersion(request({ ifMatch: 'W/"3"' }), post), false);
+  assert.equal(isStaleVersion(request({ ifMatch: '"2", "3"' }), post), false);
+  assert.equal(isStaleVersion(request({ ifMatch: '*' }), post), false);
+});
+
+test('If-Match with an older ETag is stale', () => {
+  assert.equal(isStaleVersion(request({ ifMatch: '"2"' }), post), true);
+  assert.equal(isStaleVersion(request({ ifMatch: '3' }), post), true);
+});
+
+test('a body version is compared as a number', () => {
+  assert.equal(isStaleVersion(request({ version: 3 }), post), false);
+  assert.equal(isStaleVersion(request({ version: '3' }), post), false);
+  assert.equal(isStaleVersion(request({ version: 2 }), post), true);
+  assert.equal(isStaleVersion(request({ version: 'latest' }), post), true);
+});
+
+test('If-Match wins over a body version', () => {
+  assert.equal(isStaleVersion(request({ ifMatch: '"3"', version: 1 }), post), false);
+  assert.equal(isStaleVersion(request({ ifMatch: '"1"', version: 3 }), post), true);
+});
+
+test('a save without a version is not stale', () => {
+  assert.equal(isStaleVersion(request(), post), false);
+});
@@ -0,0 +1,151 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// A lock lapses when its holder stops sending heartbeats for this long
+const LOCK_TTL_SECONDS = parseInt(process.env.POST_LOCK_TTL_SECONDS) || 120;
+
+const lockInclude = {
+  user: {
+    select: {
+      id: true,
+      username: true,
+      firstName: true,
+      lastName: true,
+      avatar: true
+    }
+  }
+};
+
+const lockExpiry = () => new Date(Date.now() + LOCK_TTL_SECONDS * 1000);
+
+/**
+ * Data that marks a write as an edit. Only edits move the version, so
+ * view counts, featuring and the scheduler never cause conflicts.
+ */
+const VERSION_BUMP = { version: { increment: 1 } };
+
+/**
+ * ETag for a version of a post
+ */
+const getPostEtag = (post) => `"${post.version}"`;
+
+/**
+ * True if the client said which version of the post it saved against,
+ * with If-Match or a version field in the body
+ */
+const hasVersionPrecondition = (req) => {
+  return Boolean(req.headers['if-match']) ||
+    (req.body.version !== undefined && req.body.version !== null);
+};
+
+/**
+ * True if the client saved against an older version of the post.
+ * Requests without a version are not stale; routes that require one
+ * check hasVersionPrecondition first.
+ */
+const isStaleVersion = (req, post) => {
+  const ifMatch = req.headers['if-match'];
+
+  if (ifMatch && ifMatch !== '*') {
+    const etag = getPostEtag(post);
+    return !ifMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+  }
+
+  if (req.body.version !== undefined && req.body.version !== null) {
+    return parseInt(req.body.version) !== post.version;
+  }
+
+  return false;
+};
+
+/**
+ * Current lock on a post, or null if it is unlocked or has lapsed
+ */
+const getActiveLock = async (postId) => {
+  const lock = await prisma.postLock.findUnique({
+    where: { postId },
+    include: lockInclude
+  });
+
+  return lock && lock.expiresAt > new Date() ? lock : null;
+};
+
+/**
+ * Take the edit lock on a post. Fails with the current lock if someone
+ * else holds it, unless takeover is set.
+ */
+const acquireLock = async (postId, userId, { takeover = false } = {}) => {
+  const previous = await getActiveLock(postId);
+
+  const where = takeover
+    ? { postId }
+    : { postId, OR: [{ userId }, { expiresAt: { lte: new Date() } }] };
+
+  const { count } = await prisma.postLock.updateMany({
+    where,
+    data: {
+      userId,
+      acquiredAt: previous && previous.userId === userId ? previous.acquiredAt : new Date(),
+      expiresAt: lockExpiry()
+    }
+  });
+
+  if (count === 0) {
+    try {
+      await prisma.postLock.create({
+        data: {
+          postId,
+          userId,
+          expiresAt: lockExpiry()
+        }
+      });
+    } catch (error) {
+      // Someone else created the lock first
+      if (error.code === 'P2002') {
+        return { conflict: await getActiveLock(postId) };
+      }
+      throw error;
+    }
+  }
+
+  return {
+    lock: await getActiveLock(postId),
+    takenOverFrom: previous && previous.userId !== userId ? previous : null
+  };
+};
+
+/**
+ * Extend a lock the user still holds. Returns null if it was taken over.
+ */
+const refreshLock = async (postId, userId) => {
+  const { count } = await prisma.postLock.updateMany({
+    where: { postId, userId },
+    data: { expiresAt: lockExpiry() }
+  });
+
+  return count > 0 ? getActiveLock(postId) : null;
+};
+
+/**
+ * Release a lock. Admins can clear anyone's lock with force.
+ */
+const releaseLock = async (postId, userId, { force = false } = {}) => {
+  const { count } = await prisma.postLock.deleteMany({
+    where: force ? { postId } : { postId, userId }
+  });
+
+  return count > 0;
+};
+
+module.exports = {
+  LOCK_TTL_SECONDS,
+  VERSION_BUMP,
+  getPostEtag,
+  hasVersionPrecondition,
+  isStaleVersion,
+  getActiveLock,
+  acquireLock,
+  refreshLock,
+  releaseLock
+};
@@ -0,0 +1,291 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const FIELD_TYPES = ['TEXT', 'NUMBER', 'BOOLEAN', 'DATE', 'URL', 'SELECT'];
+
+// Lowercase snake_case, so keys work as query parameters and WordPress meta keys
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+
+const MAX_TEXT_LENGTH = 10000;
+
+// Operators accepted in ?meta[key][op]= filters on number and date fields
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+// Prisma include for a post's custom field values
+const metaInclude = {
+  include: {
+    field: {
+      select: {
+        key: true,
+        type: true
+      }
+    }
+  }
+};
+
+/**
+ * Allowed values of a SELECT field
+ */
+const getFieldOptions = (field) => {
+  try {
+    const options = JSON.parse(field.options || '[]');
+    return Array.isArray(options) ? options.map(String) : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Check a value against a field definition. Returns the columns to
+ * store, or { error } if the value doesn't fit the field's type.
+ */
+const normalizeMetaValue = (field, raw) => {
+  switch (field.type) {
+    case 'NUMBER': {
+      const number = typeof raw === 'number' ? raw : (typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : NaN);
+      if (!Number.isFinite(number)) {
+        return { error: `${field.label} must be a number` };
+      }
+      return { value: String(number), numberValue: number, dateValue: null };
+    }
+
+    case 'BOOLEAN': {
+      if (raw !== true && raw !== false && raw !== 'true' && raw !== 'false') {
+        return { error: `${field.label} must be true or false` };
+      }
+      return { value: String(raw === true || raw === 'true'), numberValue: null, dateValue: null };
+    }
+
+    case 'DATE': {
+      const date = typeof raw === 'string' || typeof raw === 'number' ? new Date(raw) : null;
+      if (!date || Number.isNaN(date.getTime())) {
+        return { error: `${field.label} must be a valid date` };
+      }
+      return { value: date.toISOString(), numberValue: null, dateValue: date };
+    }
+
+    case 'URL': {
+      if (typeof raw !== 'string' || !/^https?:\/\/\S+$/i.test(raw) || raw.length > 2000) {
+        return { error: `${field.label} must be an http(s) URL` };
+      }
+      return { value: raw, numberValue: null, dateValue: null };
+    }
+
+    case 'SELECT': {
+      const options = getFieldOptions(field);
+      if (!options.includes(String(raw))) {
+        return { error: `${field.label} must be one of: ${options.join(', ')}` };
+      }
+      return { value: String(raw), numberValue: null, dateValue: null };
+    }
+
+    default: {
+      if (typeof raw !== 'string' || raw.length > MAX_TEXT_LENGTH) {
+        return { error: `${field.label} must be text under ${MAX_TEXT_LENGTH} characters` };
+      }
+      return { value: raw, numberValue: null, dateValue: null };
+    }
+  }
+};
+
+/**
+ * Turn a stored value back into its JSON type
+ */
+const parseMetaValue = (type, value) => {
+  switch (type) {
+    case 'NUMBER':
+      return Number(value);
+    case 'BOOLEAN':
+      return value === 'true';
+    default:
+      return value;
+  }
+};
+
+/**
+ * Map of a post's custom field values by key
+ */
+const formatMeta = (meta = []) => {
+  return meta.reduce((values, entry) => {
+    values[entry.field.key] = parseMetaValue(entry.field.type, entry.value);
+    return values;
+  }, {});
+};
+
+/**
+ * Validate custom field values sent for a post. Keys that aren't
+ * defined for the content type are rejected; null or '' clears a value.
+ * Required fields must be present when a post is created.
+ */
+const validatePostMeta = async (meta, postType, { isNew = false } = {}) => {
+  if (meta === null || typeof meta !== 'object' || Array.isArray(meta)) {
+    return { errors: [{ field: 'meta', message: 'Meta must be an object of field values' }] };
+  }
+
+  const fields = await prisma.customField.findMany({
+    where: { postType }
+  });
+  const fieldsByKey = new Map(fields.map(field => [field.key, field]));
+
+  const errors = [];
+  const upserts = [];
+  const removals = [];
+
+  Object.entries(meta).forEach(([key, raw]) => {
+    const field = fieldsByKey.get(key);
+
+    if (!field) {
+      errors.push({ field: key, message: `Unknown custom field ${key}` });
+      return;
+    }
+
+    if (raw === null || raw === undefined || raw === '') {
+      if (field.required) {
+        errors.push({ field: key, message: `${field.label} is required` });
+      } else {
+        removals.push(field.id);
+      }
+      return;
+    }
+
+    const normalized = normalizeMetaValue(field, raw);
+    if (normalized.error) {
+      errors.push({ field: key, message: normalized.error });
+      return;
+    }
+
+    upserts.push({ fieldId: field.id, ...normalized });
+  });
+
+  if (isNew) {
+    fields
+      .filter(field => field.required && !(field.key in meta))
+      .forEach(field => errors.push({ field: field.key, message: `${field.label} is required` }));
+  }
+
+  return { errors, upserts, removals };
+};
+
+/**
+ * Write validated custom field values for a post
+ */
+const savePostMeta = async (postId, { upserts = [], removals = [] }, client = prisma) => {
+  if (removals.length > 0) {
+    await client.postMeta.deleteMany({
+      where: { postId, fieldId: { in: removals } }
+    });
+  }
+
+  for (const { fieldId, value, numberValue, dateValue } of upserts) {
+    await client.postMeta.upsert({
+      where: { postId_fieldId: { postId, fieldId } },
+      update: { value, numberValue, dateValue },
+      create: { postId, fieldId, value, numberValue, dateValue }
+    });
+  }
+};
+
+/**
+ * Build where clauses for ?meta[key]=value and ?meta[key][gte]=value
+ * filters. Returns { error } for unknown fields or bad values.
+ */
+const buildMetaFilter = async (metaQuery, postType) => {
+  if (!metaQuery) {
+    return { conditions: [] };
+  }
+
+  if (typeof metaQuery !== 'object' || Array.isArray(metaQuery)) {
+    return {
+      error: {
+        error: 'Meta filters look like meta[key]=value',
+        code: 'INVALID_META_FILTER'
+      }
+    };
+  }
+
+  const keys = Object.keys(metaQuery);
+  const fields = await prisma.customField.findMany({
+    where: { postType, key: { in: keys } }
+  });
+  const fieldsByKey = new Map(fields.map(field => [field.key, field]));
+
+  const conditions = [];
+
+  for (const key of keys) {
+    const field = fieldsByKey.get(key);
+
+    if (!field) {
+      return {
+        error: {
+          error: `Unknown custom field ${key}`,
+          code: 'UNKNOWN_META_FIELD'
+        }
+      };
+    }
+
+    const filter = metaQuery[key];
+    const isRange = filter && typeof filter === 'object' && !Array.isArray(filter);
+    const column = field.type === 'NUMBER' ? 'numberValue' : field.type === 'DATE' ? 'dateValue' : 'value';
+
+    if (isRange && column === 'value') {
+      return {
+        error: {
+          error: `Range filters only work on number and date fields, not ${key}`,
+          code: 'INVALID_META_FILTER'
+        }
+      };
+    }
+
+    const comparisons = isRange ? Object.entries(filter) : [['equals', filter]];
+    const where = {};
+
+    for (const [operator, raw] of comparisons) {
+      if (operator !== 'equals' && !RANGE_OPERATORS.includes(operator)) {
+        return {
+          error: {
+            error: `Unknown meta filter operator ${operator}`,
+            code: 'INVALID_META_FILTER',
+            allowed: RANGE_OPERATORS
+          }
+        };
+      }
+
+      const normalized = normalizeMetaValue(field, raw);
+      if (normalized.error) {
+        return {
+          error: {
+            error: normalized.error,
+            code: 'INVALID_META_FILTER'
+          }
+        };
+      }
+
+      where[operator] = normalized[column];
+    }
+
+    conditions.push({
+      meta: {
+        some: {
+          fieldId: field.id,
+          [column]: where
+        }
+      }
+    });
+  }
+
+  return { conditions };
+};
+
+module.exports = {
+  FIELD_TYPES,
+  FIELD_KEY_PATTERN,
+  metaInclude,
+  getFieldOptions,
+  normalizeMetaValue,
+  parseMetaValue,
+  formatMeta,
+  validatePostMeta,
+  savePostMeta,
+  buildMetaFilter
+};
@@ -0,0 +1,328 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { validatePostMeta } = require('../utils/postMeta');
+const { CONTENT_FORMATS } = require('../utils/markdown');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation rules
+const templateValidation = [
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+  body('description').optional({ nullable: true }).isLength({ max: 500 }).withMessage('Description must be under 500 characters'),
+  body('title').optional().isLength({ max: 200 }).withMessage('Title must be under 200 characters'),
+  body('content').optional().isString().withMessage('Content must be a string'),
+  body('contentFormat').optional().isIn(CONTENT_FORMATS).withMessage('Content format must be HTML or MARKDOWN'),
+  body('excerpt').optional({ nullable: true }).isLength({ max: 500 }).withMessage('Excerpt must be under 500 characters'),
+  body('categoryId').optional({ nullable: true }).isString().withMessage('Category ID must be a string'),
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
+  body('meta').optional().isObject().withMessage('Meta must be an object of field values'),
+  body('metaTitle').optional({ nullable: true }).isLength({ max: 60 }).withMessage('Meta title must be under 60 characters'),
+  body('metaDescription').optional({ nullable: true }).isLength({ max: 160 }).withMessage('Meta description must be under 160 characters')
+];
+
+// Template columns saved as they were sent
+const TEMPLATE_FIELDS = [
+  'name',
+  'description',
+  'title',
+  'content',
+  'contentFormat',
+  'excerpt',
+  'categoryId',
+  'metaTitle',
+  'metaDescription',
+  'ogTitle',
+  'ogDescription',
+  'ogImage',
+  'twitterTitle',
+  'twitterDescription',
+  'twitterImage'
+];
+
+/**
+ * A template with its tags and custom field values parsed, ready to
+ * prefill the create-post form
+ */
+const formatTemplate = (template) => ({
+  ...template,
+  tags: JSON.parse(template.tags || '[]'),
+  meta: JSON.parse(template.meta || '{}')
+});
+
+/**
+ * Columns to save from a request body. Custom field values are checked
+ * against the post fields, but required ones may be left for the author.
+ */
+const resolveTemplateData = async (fields) => {
+  const data = {};
+
+  TEMPLATE_FIELDS.forEach(field => {
+    if (fields[field] !== undefined) {
+      data[field] = fields[field];
+    }
+  });
+
+  if (data.categoryId === '') {
+    data.categoryId = null;
+  }
+
+  if (data.categoryId) {
+    const category = await prisma.category.findUnique({
+      where: { id: data.categoryId },
+      select: { id: true }
+    });
+
+    if (!category) {
+      return {
+        error: 'Category not found',
+        code: 'CATEGORY_NOT_FOUND'
+      };
+    }
+  }
+
+  if (fields.tags !== undefined) {
+    data.tags = JSON.stringify([...new Set(fields.tags.map(String))]);
+  }
+
+  if (fields.meta !== undefined) {
+    const values = Object.fromEntries(
+      Object.entries(fields.meta).filter(([, value]) => value !== null && value !== undefined && value !== '')
+    );
+
+    const metaChanges = await validatePostMeta(values, 'POST');
+    if (metaChanges.errors.length > 0) {
+      return {
+        error: 'Invalid custom field values',
+        code: 'INVALID_META',
+        details: metaChanges.errors
+      };
+    }
+
+    data.meta = JSON.stringify(values);
+  }
+
+  return { data };
+};
+
+/**
+ * GET /api/post-templates
+ * List post templates
+ */
+router.get('/', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR']), async (req, res) => {
+  try {
+    const templates = await prisma.postTemplate.findMany({
+      include: {
+        category: {
+          select: {
+            id: true,
+            name: true,
+            slug: true
+          }
+        }
+      },
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({
+      templates: templates.map(formatTemplate),
+      total: templates.length
+    });
+  } catch (error) {
+    console.error('Get post templates error:', error);
+    res.status(500).json({
+      error: 'Failed to get post templates',
+      code: 'GET_POST_TEMPLATES_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/post-templates/:id
+ * Get a template to prefill a new post
+ */
+router.get('/:id', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR']), async (req, res) => {
+  try {
+    const template = await prisma.postTemplate.findUnique({
+      where: { id: req.params.id },
+      include: {
+        category: {
+          select: {
+            id: true,
+            name: true,
+            slug: true
+          }
+        }
+      }
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        error: 'Template not found',
+        code: 'TEMPLATE_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      template: formatTemplate(template)
+    });
+  } catch (error) {
+    console.error('Get post template error:', error);
+    res.status(500).json({
+      error: 'Failed to get post template',
+      code: 'GET_POST_TEMPLATE_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/post-templates
+ * Create post template
+ */
+router.post('/', authenticateToken, requireRole(['ADMIN']), [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  ...templateValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const existingTemplate = await prisma.postTemplate.findUnique({
+      where: { name: req.body.name }
+    });
+
+    if (existingTemplate) {
+      return res.status(409).json({
+        error: 'A template with this name already exists',
+        code: 'TEMPLATE_EXISTS'
+      });
+    }
+
+    const result = await resolveTemplateData(req.body);
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+
+    const template = await prisma.postTemplate.create({
+      data: result.data
+    });
+
+    res.status(201).json({
+      message: 'Post template created successfully',
+      template: formatTemplate(template)
+    });
+  } catch (error) {
+    console.error('Create post template error:', error);
+    res.status(500).json({
+      error: 'Failed to create post template',
+      code: 'CREATE_POST_TEMPLATE_ERROR'
+    });
+  }
+});
+
+/**
+ * PUT /api/post-templates/:id
+ * Update post template. Fields left out are unchanged.
+ */
+router.put('/:id', authenticateToken, requireRole(['ADMIN']), templateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    const template = await prisma.postTemplate.findUnique({
+      where: { id }
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        error: 'Template not found',
+        code: 'TEMPLATE_NOT_FOUND'
+      });
+    }
+
+    if (req.body.name && req.body.name !== template.name) {
+      const existingTemplate = await prisma.postTemplate.findUnique({
+        where: { name: req.body.name }
+      });
+
+      if (existingTemplate) {
+        return res.status(409).json({
+          error: 'A template with this name already exists',
+          code: 'TEMPLATE_EXISTS'
+        });
+      }
+    }
+
+    const result = await resolveTemplateData(req.body);
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+
+    const updatedTemplate = await prisma.postTemplate.update({
+      where: { id },
+      data: result.data
+    });
+
+    res.json({
+      message: 'Post template updated successfully',
+      template: formatTemplate(updatedTemplate)
+    });
+  } catch (error) {
+    console.error('Update post template error:', error);
+    res.status(500).json({
+      error: 'Failed to update post template',
+      code: 'UPDATE_POST_TEMPLATE_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/post-templates/:id
+ * Delete post template. Posts created from it are unaffected.
+ */
+router.delete('/:id', authenticateToken, requireRole(['ADMIN']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const template = await prisma.postTemplate.findUnique({
+      where: { id }
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        error: 'Template not found',
+        code: 'TEMPLATE_NOT_FOUND'
+      });
+    }
+
+    await prisma.postTemplate.delete({
+      where: { id }
+    });
+
+    res.json({
+      message: 'Post template deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete post template error:', error);
+    res.status(500).json({
+      error: 'Failed to delete post template',
+      code: 'DELETE_POST_TEMPLATE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,114 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const {
+  listableVisibilities,
+  readableVisibilities,
+  validateVisibility,
+  hashPostPassword,
+  checkPostPassword,
+  createUnlockToken,
+  getReadRestriction,
+  hideLockedContent
+} = require('../utils/postVisibility');
+
+const owner = { id: 'user-owner', role: 'AUTHOR' };
+const member = { id: 'user-member', role: 'SUBSCRIBER' };
+const editor = { id: 'user-editor', role: 'EDITOR' };
+
+const protectedPost = (fields = {}) => ({
+  id: 'post-1',
+  authorId: owner.id,
+  visibility: 'PASSWORD',
+  content: '<p>Secret</p>',
+  excerpt: 'Secret',
+  password: { updatedAt: new Date('2026-01-01T00:00:00Z') },
+  ...fields
+});
+
+const request = ({ user = null, headers = {}, query = {} } = {}) => ({ user, headers, query });
+
+test('anonymous readers can list public and protected posts only', () => {
+  assert.deepEqual(listableVisibilities(null), ['PUBLIC', 'PASSWORD']);
+  assert.deepEqual(listableVisibilities(member), ['PUBLIC', 'PASSWORD', 'MEMBERS']);
+});
+
+test('only content readable without unlocking goes into search and feeds', () => {
+  assert.deepEqual(readableVisibilities(null), ['PUBLIC']);
+  assert.deepEqual(readableVisibilities(member), ['PUBLIC', 'MEMBERS']);
+});
+
+test('a protected post needs a password unless it already has one', () => {
+  assert.match(validateVisibility('PASSWORD', undefined), /password is required/);
+  assert.equal(validateVisibility('PASSWORD', undefined, true), null);
+  assert.equal(validateVisibility('PASSWORD', 'hunter2'), null);
+  assert.match(validateVisibility('PUBLIC', 'hunter2'), /Only password-protected posts/);
+});
+
+test('passwords are checked against their hash', async () => {
+  const passwordHash = await hashPostPassword('hunter2');
+
+  assert.equal(await checkPostPassword('hunter2', { passwordHash }), true);
+  assert.equal(await checkPostPassword('hunter3', { passwordHash }), false);
+});
+
+test('public posts are never restricted', () => {
+  assert.equal(getReadRestriction(request(), { ...protectedPost(), visibility: 'PUBLIC' }), null);
+});
+
+test('members-only posts need a login', () => {
+  const post = protectedPost({ visibility: 'MEMBERS' });
+
+  assert.equal(getReadRestriction(request(), post).code, 'LOGIN_REQUIRED');
+  assert.equal(getReadRestriction(request({ user: member }), post), null);
+});
+
+test('staff and the owner read protected posts directly', () => {
+  assert.equal(getReadRestriction(request({ user: editor }), protectedPost()), null);
+  assert.equal(getReadRestriction(request({ user: owner }), protectedPost()), null);
+  assert.equal(getReadRestriction(request({ user: member }), protectedPost()).code, 'PASSWORD_REQUIRED');
+});
+
+test('an unlock token opens the post from a header, query or cookie', () => {
+  const post = protectedPost();
+  const { token } = createUnlockToken(post);
+
+  assert.equal(getReadRestriction(request({ headers: { 'x-post-unlock': token } }), post), null);
+  assert.equal(getReadRestriction(request({ query: { unlock: token } }), post), null);
+  assert.equal(getReadRestriction(request({ headers: { cookie: `theme=dark; post_unlock_${post.id}=${token}` } }), post), null);
+});
+
+test('unlock tokens only open the post they were made for', () => {
+  const { token } = createUnlockToken(protectedPost());
+  const otherPost = protectedPost({ id: 'post-2' });
+
+  assert.equal(getReadRestriction(request({ query: { unlock: token } }), otherPost).code, 'PASSWORD_REQUIRED');
+});
+
+test('changing the password invalidates earlier unlock tokens', () => {
+  const { token } = createUnlockToken(protectedPost());
+  const changed = protectedPost({ password: { updatedAt: new Date('2026-02-01T00:00:00Z') } });
+
+  assert.equal(getReadRestriction(request({ query: { unlock: token } }), changed).code, 'PASSWORD_REQUIRED');
+});
+
+test('login tokens do not unlock posts', () => {
+  const jwt = require('jsonwebtoken');
+  const loginToken = jwt.sign({ postId: 'post-1', v: protectedPost().password.updatedAt.getTime() }, process.env.JWT_SECRET);
+
+  assert.equal(getReadRestriction(request({ query: { unlock: loginToken } }), protectedPost()).code, 'PASSWORD_REQUIRED');
+});
+
+test('listed protected posts hide their content from other readers', () => {
+  const hidden = hideLockedContent(member, protectedPost());
+
+  assert.equal(hidden.locked, true);
+  assert.equal(hidden.content, '');
+  assert.equal(hidden.excerpt, null);
+  assert.deepEqual(hidden.meta, []);
+
+  assert.equal(hideLockedContent(owner, protectedPost()).content, '<p>Secret</p>');
+  assert.equal(hideLockedContent(null, { ...protectedPost(), visibility: 'PUBLIC' }).locked, undefined);
+});
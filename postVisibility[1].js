@@ -0,0 +1,193 @@
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const VISIBILITY_MODES = ['PUBLIC', 'PASSWORD', 'MEMBERS'];
+
+// How long entering a post's password keeps it unlocked
+const UNLOCK_MINUTES = parseInt(process.env.POST_UNLOCK_MINUTES) || 60;
+
+/**
+ * Unlock tokens use their own secret so they can never pass as login tokens
+ */
+const unlockSecret = () => `${process.env.JWT_SECRET}:post-unlock`;
+
+const unlockCookieName = (postId) => `post_unlock_${postId}`;
+
+/**
+ * Staff and the post's owner read every post without unlocking it
+ */
+const hasDirectAccess = (user, post) => {
+  return Boolean(user) && (['ADMIN', 'EDITOR'].includes(user.role) || post.authorId === user.id);
+};
+
+/**
+ * Visibility modes a reader can find in lists. Members-only posts are
+ * left out for anonymous readers; password-protected posts are listed
+ * with their content hidden.
+ */
+const listableVisibilities = (user) => {
+  return user ? VISIBILITY_MODES : ['PUBLIC', 'PASSWORD'];
+};
+
+/**
+ * Visibility modes whose content a reader can search or receive in a
+ * feed, without unlocking anything
+ */
+const readableVisibilities = (user) => {
+  return user ? ['PUBLIC', 'MEMBERS'] : ['PUBLIC'];
+};
+
+/**
+ * Problems with the visibility sent for a post, or null. A password is
+ * needed to protect a post unless it already has one.
+ */
+const validateVisibility = (visibility, password, hasPassword = false) => {
+  if (visibility === 'PASSWORD' && !password && !hasPassword) {
+    return 'A password is required for password-protected posts';
+  }
+
+  if (password && visibility !== 'PASSWORD') {
+    return 'Only password-protected posts take a password';
+  }
+
+  return null;
+};
+
+const hashPostPassword = (password) => bcrypt.hash(password, 12);
+
+const checkPostPassword = (password, postPassword) => bcrypt.compare(password, postPassword.passwordHash);
+
+/**
+ * Store or clear a post's password to match its visibility.
+ * The hash is made by the caller, outside any transaction.
+ */
+const syncPostPassword = async (postId, visibility, passwordHash, client = prisma) => {
+  if (visibility !== 'PASSWORD') {
+    await client.postPassword.deleteMany({ where: { postId } });
+    return;
+  }
+
+  if (!passwordHash) return;
+
+  await client.postPassword.upsert({
+    where: { postId },
+    create: { postId, passwordHash },
+    update: { passwordHash }
+  });
+};
+
+/**
+ * Issue a token that unlocks a password-protected post. Changing the
+ * password invalidates tokens issued for the old one.
+ */
+const createUnlockToken = (post) => {
+  const expiresAt = new Date(Date.now() + UNLOCK_MINUTES * 60 * 1000);
+
+  const token = jwt.sign(
+    { postId: post.id, v: post.password.updatedAt.getTime() },
+    unlockSecret(),
+    { expiresIn: UNLOCK_MINUTES * 60 }
+  );
+
+  return { token, expiresAt };
+};
+
+/**
+ * Read a cookie from the request without a cookie parser
+ */
+const readCookie = (req, name) => {
+  const cookies = req.headers.cookie ? req.headers.cookie.split(';') : [];
+
+  for (const cookie of cookies) {
+    const [key, ...value] = cookie.trim().split('=');
+    if (key === name) {
+      return value.join('=');
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Set the cookie that keeps a post unlocked in the browser
+ */
+const setUnlockCookie = (res, postId, token) => {
+  res.cookie(unlockCookieName(postId), token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: UNLOCK_MINUTES * 60 * 1000
+  });
+};
+
+/**
+ * Check for an unlock token in the X-Post-Unlock header, the unlock
+ * query parameter or the post's cookie. The post needs its password.
+ */
+const isUnlocked = (req, post) => {
+  const token = req.headers['x-post-unlock'] || req.query.unlock || readCookie(req, unlockCookieName(post.id));
+  if (!token || !post.password) return false;
+
+  try {
+    const decoded = jwt.verify(token, unlockSecret());
+    return decoded.postId === post.id && decoded.v === post.password.updatedAt.getTime();
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Why a reader can't see a post's content, or null when they can
+ */
+const getReadRestriction = (req, post) => {
+  if (post.visibility === 'PUBLIC' || hasDirectAccess(req.user, post)) {
+    return null;
+  }
+
+  if (post.visibility === 'MEMBERS') {
+    return req.user
+      ? null
+      : { error: 'Log in to read this post', code: 'LOGIN_REQUIRED' };
+  }
+
+  return isUnlocked(req, post)
+    ? null
+    : { error: 'This post is password protected', code: 'PASSWORD_REQUIRED' };
+};
+
+/**
+ * A listed post with its content hidden until it's unlocked
+ */
+const hideLockedContent = (user, post) => {
+  if (post.visibility !== 'PASSWORD' || hasDirectAccess(user, post)) {
+    return post;
+  }
+
+  return {
+    ...post,
+    content: '',
+    contentSource: null,
+    excerpt: null,
+    tableOfContents: '[]',
+    meta: [],
+    locked: true
+  };
+};
+
+module.exports = {
+  VISIBILITY_MODES,
+  UNLOCK_MINUTES,
+  listableVisibilities,
+  readableVisibilities,
+  validateVisibility,
+  hashPostPassword,
+  checkPostPassword,
+  syncPostPassword,
+  createUnlockToken,
+  setUnlockCookie,
+  getReadRestriction,
+  hideLockedContent
+};
@@ -3,6 +3,70 @@ const { body, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const slugify = require('slugify');
 const { authenticateToken, requireRole, optionalAuth } = require('../middleware/auth');
+const { diffWords, diffStats } = require('../utils/diff');
+const { TRASH_RETENTION_DAYS } = require('../utils/scheduler');
+const { searchPostIds, syncSearchIndex, removeFromSearchIndex } = require('../utils/searchIndex');
+const { parsePagination, buildPage } = require('../utils/pagination');
+const {
+  MAX_PREVIEW_HOURS,
+  createPreviewToken,
+  verifyPreviewToken,
+  getPreviewTokenFromRequest
+} = require('../utils/previewTokens');
+const {
+  LOCK_TTL_SECONDS,
+  VERSION_BUMP,
+  getPostEtag,
+  hasVersionPrecondition,
+  isStaleVersion,
+  getActiveLock,
+  acquireLock,
+  refreshLock,
+  releaseLock
+} = require('../utils/postLocks');
+const {
+  REVISION_FIELDS,
+  generateUniqueSlug,
+  recordSlugChange,
+  findRedirectedPost,
+  findOrCreateTag,
+  syncPostTags,
+  toRevisionData,
+  savePostRevision
+} = require('../utils/postHelpers');
+const {
+  bylinesInclude,
+  publicBylines,
+  authorFilter,
+  validateBylines,
+  syncPostBylines
+} = require('../utils/bylines');
+const { getSeriesNavigation, nextSeriesOrder } = require('../utils/seriesNavigation');
+const { metaInclude, formatMeta, validatePostMeta, savePostMeta, buildMetaFilter } = require('../utils/postMeta');
+const { normalizeWeights, getRelatedPosts, clearRelatedPostsCache } = require('../utils/relatedPosts');
+const { CONTENT_FORMATS, prepareContent } = require('../utils/markdown');
+const { parseTableOfContents } = require('../utils/readingStats');
+const { getSanitizerPolicy, getPostSanitizerPolicy } = require('../utils/htmlSanitizer');
+const {
+  SITE_LOCALES,
+  isSiteLocale,
+  localeFilter,
+  resolveTranslationFields,
+  getTranslations
+} = require('../utils/translations');
+const {
+  VISIBILITY_MODES,
+  listableVisibilities,
+  readableVisibilities,
+  validateVisibility,
+  hashPostPassword,
+  checkPostPassword,
+  syncPostPassword,
+  createUnlockToken,
+  setUnlockCookie,
+  getReadRestriction,
+  hideLockedContent
+} = require('../utils/postVisibility');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -11,37 +75,214 @@ const prisma = new PrismaClient();
 const postValidation = [
   body('title').isLength({ min: 1, max: 200 }).withMessage('Title is required and must be under 200 characters'),
   body('content').isLength({ min: 1 }).withMessage('Content is required'),
+  body('contentFormat').optional().isIn(CONTENT_FORMATS).withMessage('Content format must be HTML or MARKDOWN'),
   body('excerpt').optional().isLength({ max: 500 }).withMessage('Excerpt must be under 500 characters'),
-  body('status').optional().isIn(['DRAFT', 'PUBLISHED', 'SCHEDULED', 'PRIVATE']).withMessage('Invalid status'),
+  body('status').optional().isIn(['DRAFT', 'PENDING_REVIEW', 'PUBLISHED', 'SCHEDULED', 'PRIVATE']).withMessage('Invalid status'),
   body('categoryId').optional().isString().withMessage('Category ID must be a string'),
   body('tags').optional().isArray().withMessage('Tags must be an array'),
+  body('authors').optional().isArray({ min: 1, max: 20 }).withMessage('Authors must be an array of 1 to 20 entries'),
+  body('seriesId').optional({ nullable: true }).isString().withMessage('Series ID must be a string'),
+  body('seriesOrder').optional().isInt({ min: 0 }).withMessage('Series order must be a positive integer'),
+  body('visibility').optional().isIn(VISIBILITY_MODES).withMessage('Visibility must be PUBLIC, PASSWORD or MEMBERS'),
+  body('password').optional().isLength({ min: 4, max: 100 }).withMessage('Password must be between 4 and 100 characters'),
+  body('isSticky').optional().isBoolean().withMessage('Sticky must be true or false'),
+  body('stickyUntil').optional({ nullable: true }).isISO8601().withMessage('Sticky until must be a date'),
+  body('locale').optional().isIn(SITE_LOCALES).withMessage(`Locale must be one of ${SITE_LOCALES.join(', ')}`),
+  body('translationOf').optional({ nullable: true }).isString().withMessage('Translation source must be a post ID'),
   body('metaTitle').optional().isLength({ max: 60 }).withMessage('Meta title must be under 60 characters'),
   body('metaDescription').optional().isLength({ max: 160 }).withMessage('Meta description must be under 160 characters')
 ];
 
+// Statuses an author can't move a post into without an editor's approval
+const EDITORIAL_STATUSES = ['PUBLISHED', 'SCHEDULED'];
+
+// Decisions an editor can make on a post waiting for review
+const REVIEW_ACTIONS = ['approve', 'reject', 'request-changes'];
+
 /**
- * Generate unique slug for post
+ * Authors must go through review to publish; keeping the current
+ * status of an already published post is fine.
  */
-const generateUniqueSlug = async (title, postId = null) => {
-  let baseSlug = slugify(title, { lower: true, strict: true });
-  let slug = baseSlug;
-  let counter = 1;
+const canSetStatus = (user, status, currentStatus = null) => {
+  return user.role !== 'AUTHOR' || status === currentStatus || !EDITORIAL_STATUSES.includes(status);
+};
 
-  while (true) {
-    const existingPost = await prisma.post.findUnique({
-      where: { slug },
-      select: { id: true }
-    });
+/**
+ * Series fields to save for a post. A post joining a series goes to
+ * the end unless seriesOrder is given; seriesId null takes it out.
+ */
+const resolveSeriesMembership = async (seriesId, seriesOrder, existingPost = null) => {
+  if (seriesId === undefined) {
+    return seriesOrder !== undefined && existingPost && existingPost.seriesId
+      ? { data: { seriesOrder: parseInt(seriesOrder) } }
+      : { data: {} };
+  }
+
+  if (seriesId === null || seriesId === '') {
+    return { data: { seriesId: null, seriesOrder: 0 } };
+  }
+
+  const series = await prisma.series.findUnique({
+    where: { id: seriesId },
+    select: { id: true }
+  });
+
+  if (!series) {
+    return {
+      error: 'Series not found',
+      code: 'SERIES_NOT_FOUND'
+    };
+  }
+
+  if (seriesOrder !== undefined) {
+    return { data: { seriesId, seriesOrder: parseInt(seriesOrder) } };
+  }
+
+  if (existingPost && existingPost.seriesId === seriesId) {
+    return { data: {} };
+  }
+
+  return { data: { seriesId, seriesOrder: await nextSeriesOrder(seriesId) } };
+};
+
+/**
+ * Sticky fields to save. Only editors can pin posts; sending just
+ * stickyUntil pins the post until then.
+ */
+const resolveStickyFields = (user, isSticky, stickyUntil) => {
+  if (isSticky === undefined && stickyUntil === undefined) {
+    return { data: {} };
+  }
+
+  if (!['ADMIN', 'EDITOR'].includes(user.role)) {
+    return {
+      status: 403,
+      error: 'Only editors can pin posts',
+      code: 'INSUFFICIENT_PERMISSIONS'
+    };
+  }
+
+  const sticky = isSticky === undefined || isSticky === true || isSticky === 'true';
+
+  if (sticky && stickyUntil && new Date(stickyUntil) <= new Date()) {
+    return {
+      status: 400,
+      error: 'Sticky until must be in the future',
+      code: 'INVALID_STICKY_UNTIL'
+    };
+  }
 
-    if (!existingPost || (postId && existingPost.id === postId)) {
-      break;
+  return {
+    data: {
+      isSticky: sticky,
+      stickyUntil: sticky && stickyUntil ? new Date(stickyUntil) : null
     }
+  };
+};
+
+/**
+ * Check a working copy against the rules for saving a post
+ */
+const validateWorkingCopy = async (values) => {
+  const check = { body: values };
+  await Promise.all(postValidation.map(validation => validation.run(check)));
+  return validationResult(check);
+};
+
+// Fields besides title, content and excerpt kept in an autosave
+const AUTOSAVE_FIELDS = [
+  'contentFormat',
+  'featuredImage',
+  'categoryId',
+  'tags',
+  'metaTitle',
+  'metaDescription',
+  'canonicalUrl',
+  'ogTitle',
+  'ogDescription',
+  'ogImage',
+  'twitterTitle',
+  'twitterDescription',
+  'twitterImage'
+];
+
+// Fields the post list can be sorted on
+const SORTABLE_FIELDS = ['publishedAt', 'createdAt', 'updatedAt', 'title', 'viewCount', 'likeCount', 'shareCount'];
+
+/**
+ * Public view of an edit lock
+ */
+const formatLock = (lock) => ({
+  user: lock.user,
+  acquiredAt: lock.acquiredAt,
+  expiresAt: lock.expiresAt
+});
+
+/**
+ * Shape an autosave for the editor, flagging saves made to the post since
+ */
+const formatAutosave = (autosave, post) => ({
+  id: autosave.id,
+  title: autosave.title,
+  content: autosave.content,
+  excerpt: autosave.excerpt,
+  fields: JSON.parse(autosave.fields),
+  savedAt: autosave.updatedAt,
+  baseVersion: autosave.baseVersion,
+  postChangedSince: post.version > autosave.baseVersion
+});
+
+/**
+ * Answer a save made against an outdated version with the current one
+ */
+const sendEditConflict = async (res, id) => {
+  const [currentPost, lastRevision] = await Promise.all([
+    prisma.post.findUnique({
+      where: { id },
+      include: {
+        category: true,
+        tags: {
+          include: {
+            tag: true
+          }
+        }
+      }
+    }),
+    prisma.postRevision.findFirst({
+      where: { postId: id },
+      orderBy: { createdAt: 'desc' },
+      include: {
+        editor: {
+          select: {
+            id: true,
+            username: true,
+            firstName: true,
+            lastName: true
+          }
+        }
+      }
+    })
+  ]);
 
-    slug = `${baseSlug}-${counter}`;
-    counter++;
+  // The post was deleted while it was being edited
+  if (!currentPost) {
+    return res.status(404).json({
+      error: 'Post not found',
+      code: 'POST_NOT_FOUND'
+    });
   }
 
-  return slug;
+  res.set('ETag', getPostEtag(currentPost));
+
+  return res.status(409).json({
+    error: 'This post was changed by someone else since you opened it',
+    code: 'EDIT_CONFLICT',
+    currentPost: {
+      ...currentPost,
+      tags: currentPost.tags.map(pt => pt.tag)
+    },
+    lastEditedBy: lastRevision ? lastRevision.editor : null
+  });
 };
 
 /**
@@ -51,22 +292,47 @@ const generateUniqueSlug = async (title, postId = null) => {
 router.get('/', optionalAuth, async (req, res) => {
   try {
     const {
-      page = 1,
-      limit = 10,
       status = 'PUBLISHED',
       category,
       tag,
       search,
       author,
-      sortBy = 'publishedAt',
-      sortOrder = 'desc'
+      locale
     } = req.query;
 
-    const skip = (page - 1) * limit;
+    const pagination = parsePagination(req.query, {
+      sortable: SORTABLE_FIELDS,
+      defaultSort: 'publishedAt',
+      defaultLimit: 10
+    });
+
+    if (pagination.error) {
+      return res.status(400).json(pagination.error);
+    }
+
+    if (locale !== undefined && !isSiteLocale(locale)) {
+      return res.status(400).json({
+        error: `Locale must be one of ${SITE_LOCALES.join(', ')}`,
+        code: 'INVALID_LOCALE'
+      });
+    }
+
     const isAdmin = req.user && req.user.role === 'ADMIN';
 
-    // Build where clause
-    let where = {};
+    // Build where clause. Pages are listed through /api/pages
+    let where = {
+      type: 'POST',
+      visibility: { in: listableVisibilities(req.user) }
+    };
+
+    if (req.query.featured === 'true') {
+      // The featured collection, in its curated order
+      where.featuredOrder = { not: null };
+      pagination.findArgs.orderBy = [{ featuredOrder: 'asc' }, { id: 'asc' }];
+    } else if (!req.query.sortBy) {
+      // Sticky posts lead the default listing
+      pagination.findArgs.orderBy = [{ isSticky: 'desc' }, ...pagination.findArgs.orderBy];
+    }
 
     // Status filter - non-admins can only see published posts
     if (!isAdmin) {
@@ -74,6 +340,9 @@ router.get('/', optionalAuth, async (req, res) => {
       where.publishedAt = { lte: new Date() };
     } else if (status !== 'ALL') {
       where.status = status;
+    } else {
+      // Trashed posts are only listed through /api/posts/trash
+      where.status = { not: 'TRASH' };
     }
 
     // Category filter
@@ -90,18 +359,33 @@ router.get('/', optionalAuth, async (req, res) => {
       };
     }
 
-    // Author filter
+    // Locale filter
+    if (locale) {
+      where.locale = localeFilter(locale);
+    }
+
+    // Author filter matches the owner, co-authors and guest authors
     if (author) {
-      where.author = { username: author };
+      where.AND = [authorFilter(author)];
+    }
+
+    // Custom field filters, e.g. ?meta[rating][gte]=4
+    const metaFilter = await buildMetaFilter(req.query.meta, 'POST');
+    if (metaFilter.error) {
+      return res.status(400).json(metaFilter.error);
+    }
+    if (metaFilter.conditions.length > 0) {
+      where.AND = [...(where.AND || []), ...metaFilter.conditions];
     }
 
     // Search filter
     if (search) {
-      where.OR = [
-        { title: { contains: search, mode: 'insensitive' } },
-        { content: { contains: search, mode: 'insensitive' } },
-        { excerpt: { contains: search, mode: 'insensitive' } }
-      ];
+      where.id = {
+        in: await searchPostIds(search, {
+          publishedOnly: !isAdmin,
+          visibilities: isAdmin ? null : readableVisibilities(req.user)
+        })
+      };
     }
 
     // Get posts with relations
@@ -118,6 +402,8 @@ router.get('/', optionalAuth, async (req, res) => {
               avatar: true
             }
           },
+          bylines: bylinesInclude,
+          meta: metaInclude,
           category: {
             select: {
               id: true,
@@ -146,28 +432,27 @@ router.get('/', optionalAuth, async (req, res) => {
             }
           }
         },
-        skip: parseInt(skip),
-        take: parseInt(limit),
-        orderBy: { [sortBy]: sortOrder }
+        ...pagination.findArgs
       }),
       prisma.post.count({ where })
     ]);
 
-    // Transform posts to include tag array
-    const transformedPosts = posts.map(post => ({
+    const { items, pagination: pageInfo } = buildPage(req, res, posts, total, pagination);
+
+    // Transform posts to include tag and author arrays, hiding the
+    // content of password-protected posts
+    const transformedPosts = items.map(item => hideLockedContent(req.user, item)).map(({ bylines, ...post }) => ({
       ...post,
+      authors: publicBylines({ ...post, bylines }),
+      meta: formatMeta(post.meta),
+      tableOfContents: parseTableOfContents(post.tableOfContents),
       tags: post.tags.map(pt => pt.tag),
       commentCount: post._count.comments
     }));
 
     res.json({
       posts: transformedPosts,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      pagination: pageInfo
     });
   } catch (error) {
     console.error('Get posts error:', error);
@@ -178,6 +463,152 @@ router.get('/', optionalAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/posts/trash
+ * Get trashed posts with the date each one will be purged
+ */
+router.get('/trash', authenticateToken, requireRole(['ADMIN', 'EDITOR']), async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query, {
+      sortable: ['trashedAt', 'title', 'updatedAt'],
+      defaultSort: 'trashedAt',
+      defaultLimit: 20
+    });
+
+    if (pagination.error) {
+      return res.status(400).json(pagination.error);
+    }
+
+    const where = { status: 'TRASH' };
+
+    const [posts, total] = await Promise.all([
+      prisma.post.findMany({
+        where,
+        select: {
+          id: true,
+          title: true,
+          slug: true,
+          trashedAt: true,
+          trashedFrom: true,
+          updatedAt: true,
+          author: {
+            select: {
+              id: true,
+              username: true,
+              firstName: true,
+              lastName: true
+            }
+          }
+        },
+        ...pagination.findArgs
+      }),
+      prisma.post.count({ where })
+    ]);
+
+    const { items, pagination: pageInfo } = buildPage(req, res, posts, total, pagination);
+    const retentionMs = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+    res.json({
+      posts: items.map(post => ({
+        ...post,
+        purgeAt: TRASH_RETENTION_DAYS > 0 && post.trashedAt
+          ? new Date(post.trashedAt.getTime() + retentionMs)
+          : null
+      })),
+      retentionDays: TRASH_RETENTION_DAYS,
+      pagination: pageInfo
+    });
+  } catch (error) {
+    console.error('Get trashed posts error:', error);
+    res.status(500).json({
+      error: 'Failed to get trashed posts',
+      code: 'GET_TRASH_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/posts/review-queue
+ * Posts waiting for review, longest waiting first
+ */
+router.get('/review-queue', authenticateToken, requireRole(['ADMIN', 'EDITOR']), async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query, {
+      sortable: ['updatedAt', 'createdAt', 'title'],
+      defaultSort: 'updatedAt',
+      defaultOrder: 'asc',
+      defaultLimit: 20
+    });
+
+    if (pagination.error) {
+      return res.status(400).json(pagination.error);
+    }
+
+    const where = { status: 'PENDING_REVIEW' };
+
+    const [posts, total] = await Promise.all([
+      prisma.post.findMany({
+        where,
+        select: {
+          id: true,
+          title: true,
+          slug: true,
+          excerpt: true,
+          createdAt: true,
+          updatedAt: true,
+          reviewAction: true,
+          reviewedAt: true,
+          author: {
+            select: {
+              id: true,
+              username: true,
+              firstName: true,
+              lastName: true,
+              avatar: true
+            }
+          },
+          category: {
+            select: {
+              id: true,
+              name: true,
+              slug: true,
+              color: true
+            }
+          },
+          transitions: {
+            where: { toStatus: 'PENDING_REVIEW' },
+            orderBy: { createdAt: 'desc' },
+            take: 1,
+            select: {
+              comment: true,
+              createdAt: true
+            }
+          }
+        },
+        ...pagination.findArgs
+      }),
+      prisma.post.count({ where })
+    ]);
+
+    const { items, pagination: pageInfo } = buildPage(req, res, posts, total, pagination);
+
+    res.json({
+      posts: items.map(({ transitions, ...post }) => ({
+        ...post,
+        submittedAt: transitions[0] ? transitions[0].createdAt : post.updatedAt,
+        submissionNote: transitions[0] ? transitions[0].comment : null
+      })),
+      pagination: pageInfo
+    });
+  } catch (error) {
+    console.error('Get review queue error:', error);
+    res.status(500).json({
+      error: 'Failed to get review queue',
+      code: 'GET_REVIEW_QUEUE_ERROR'
+    });
+  }
+});
+
 /**
  * GET /api/posts/:slug
  * Get single post by slug
@@ -199,6 +630,11 @@ router.get('/:slug', optionalAuth, async (req, res) => {
             avatar: true
           }
         },
+        bylines: bylinesInclude,
+        meta: metaInclude,
+        password: {
+          select: { updatedAt: true }
+        },
         category: {
           select: {
             id: true,
@@ -252,33 +688,100 @@ router.get('/:slug', optionalAuth, async (req, res) => {
     });
 
     if (!post) {
+      // Point old links at the post's current slug
+      const movedPost = await findRedirectedPost(slug);
+      const isLive = movedPost && movedPost.status === 'PUBLISHED' && movedPost.publishedAt <= new Date();
+
+      if (movedPost && movedPost.type === 'POST' && (isAdmin || isLive)) {
+        const siteUrl = process.env.SITE_URL || 'http://localhost:3000';
+
+        return res.status(404).json({
+          error: 'This post has moved',
+          code: 'POST_MOVED',
+          redirect: {
+            slug: movedPost.slug,
+            url: `${siteUrl}/blog/${movedPost.slug}`
+          }
+        });
+      }
+    }
+
+    if (!post || post.type !== 'POST') {
       return res.status(404).json({
         error: 'Post not found',
         code: 'POST_NOT_FOUND'
       });
     }
 
+    // A valid preview token lets reviewers read the post without a login
+    const previewToken = await verifyPreviewToken(getPreviewTokenFromRequest(req), post.id);
+
     // Check if user can view this post
-    if (!isAdmin && (post.status !== 'PUBLISHED' || post.publishedAt > new Date())) {
+    if (!isAdmin && !previewToken && (post.status !== 'PUBLISHED' || post.publishedAt > new Date())) {
       return res.status(404).json({
         error: 'Post not found',
         code: 'POST_NOT_FOUND'
       });
     }
 
-    // Increment view count
-    await prisma.post.update({
-      where: { id: post.id },
-      data: { viewCount: { increment: 1 } }
-    });
+    // Protected posts show their title and byline until they're unlocked
+    const restriction = !previewToken && getReadRestriction(req, post);
+    if (restriction) {
+      return res.status(403).json({
+        error: restriction.error,
+        code: restriction.code,
+        post: {
+          id: post.id,
+          title: post.title,
+          slug: post.slug,
+          visibility: post.visibility,
+          featuredImage: post.featuredImage,
+          publishedAt: post.publishedAt,
+          authors: publicBylines(post),
+          category: post.category
+        }
+      });
+    }
+
+    if (previewToken || post.visibility !== 'PUBLIC') {
+      // Private reads stay out of shared caches
+      res.set('Cache-Control', 'private, no-store');
+    }
+
+    if (previewToken) {
+      // Previews are private and never count as views
+      res.set({
+        'Cache-Control': 'private, no-store',
+        'X-Robots-Tag': 'noindex, nofollow'
+      });
+    } else {
+      // Increment view count
+      await prisma.post.update({
+        where: { id: post.id },
+        data: { viewCount: { increment: 1 } }
+      });
+    }
+
+    const isStaff = req.user && ['ADMIN', 'EDITOR'].includes(req.user.role);
 
     // Transform post
+    const { bylines, password, ...postFields } = post;
     const transformedPost = {
-      ...post,
+      ...postFields,
+      authors: publicBylines(post),
+      meta: formatMeta(post.meta),
+      tableOfContents: parseTableOfContents(post.tableOfContents),
+      series: await getSeriesNavigation(post, { isStaff }),
+      related: await getRelatedPosts(post),
+      translations: await getTranslations(post, isAdmin ? null : listableVisibilities(req.user)),
       tags: post.tags.map(pt => pt.tag)
     };
 
-    res.json({ post: transformedPost });
+    res.set('ETag', getPostEtag(post));
+    res.json({
+      post: transformedPost,
+      preview: Boolean(previewToken)
+    });
   } catch (error) {
     console.error('Get post error:', error);
     res.status(500).json({
@@ -289,10 +792,13 @@ router.get('/:slug', optionalAuth, async (req, res) => {
 });
 
 /**
- * POST /api/posts
- * Create new post
+ * POST /api/posts/:slug/unlock
+ * Check a password-protected post's password. The returned token, also
+ * set as a cookie, unlocks the post for a limited time.
  */
-router.post('/', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR']), postValidation, async (req, res) => {
+router.post('/:slug/unlock', [
+  body('password').isString().notEmpty().withMessage('Password is required')
+], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -302,144 +808,174 @@ router.post('/', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR']),
       });
     }
 
-    const {
-      title,
-      content,
-      excerpt,
-      featuredImage,
-      status = 'DRAFT',
-      categoryId,
-      tags = [],
-      scheduledAt,
-      metaTitle,
-      metaDescription,
-      canonicalUrl,
-      ogTitle,
-      ogDescription,
-      ogImage,
-      twitterTitle,
-      twitterDescription,
-      twitterImage
-    } = req.body;
+    const post = await prisma.post.findUnique({
+      where: { slug: req.params.slug },
+      include: { password: true }
+    });
 
-    // Generate unique slug
-    const slug = await generateUniqueSlug(title);
+    if (!post || post.type !== 'POST' || post.status !== 'PUBLISHED' || post.publishedAt > new Date()) {
+      return res.status(404).json({
+        error: 'Post not found',
+        code: 'POST_NOT_FOUND'
+      });
+    }
 
-    // Set published date if status is PUBLISHED
-    let publishedAt = null;
-    if (status === 'PUBLISHED') {
-      publishedAt = new Date();
-    } else if (status === 'SCHEDULED' && scheduledAt) {
-      publishedAt = new Date(scheduledAt);
+    if (post.visibility !== 'PASSWORD' || !post.password) {
+      return res.status(400).json({
+        error: 'This post is not password protected',
+        code: 'POST_NOT_PROTECTED'
+      });
     }
 
-    // Create post
-    const post = await prisma.post.create({
-      data: {
-        title,
-        slug,
-        content,
-        excerpt,
-        featuredImage,
-        status,
-        publishedAt,
-        scheduledAt: scheduledAt ? new Date(scheduledAt) : null,
-        authorId: req.user.id,
-        categoryId,
-        metaTitle,
-        metaDescription,
-        canonicalUrl,
-        ogTitle,
-        ogDescription,
-        ogImage,
-        twitterTitle,
-        twitterDescription,
-        twitterImage
-      },
-      include: {
-        author: {
-          select: {
-            id: true,
-            username: true,
-            firstName: true,
-            lastName: true
-          }
-        },
-        category: true
-      }
+    const isValid = await checkPostPassword(req.body.password, post.password);
+    if (!isValid) {
+      return res.status(403).json({
+        error: 'Incorrect password',
+        code: 'INVALID_PASSWORD'
+      });
+    }
+
+    const { token, expiresAt } = createUnlockToken(post);
+    setUnlockCookie(res, post.id, token);
+
+    res.json({
+      message: 'Post unlocked',
+      token,
+      expiresAt
+    });
+  } catch (error) {
+    console.error('Unlock post error:', error);
+    res.status(500).json({
+      error: 'Failed to unlock post',
+      code: 'UNLOCK_POST_ERROR'
     });
+  }
+});
 
-    // Handle tags
-    if (tags.length > 0) {
-      const tagConnections = [];
-      
-      for (const tagName of tags) {
-        // Find or create tag
-        const tagSlug = slugify(tagName, { lower: true, strict: true });
-        let tag = await prisma.tag.findUnique({ where: { slug: tagSlug } });
-        
-        if (!tag) {
-          tag = await prisma.tag.create({
-            data: {
-              name: tagName,
-              slug: tagSlug
-            }
-          });
+/**
+ * GET /api/posts/:slug/related
+ * Related posts scored on shared tags, category and content similarity.
+ * Weights can be tuned with tagWeight, categoryWeight and contentWeight.
+ */
+router.get('/:slug/related', optionalAuth, async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const { tagWeight, categoryWeight, contentWeight } = req.query;
+    const isAdmin = req.user && req.user.role === 'ADMIN';
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 4, 1), 20);
+
+    const post = await prisma.post.findUnique({
+      where: { slug },
+      include: {
+        tags: {
+          select: { tagId: true }
         }
-        
-        tagConnections.push({
-          postId: post.id,
-          tagId: tag.id
-        });
       }
+    });
 
-      await prisma.postTag.createMany({
-        data: tagConnections
+    if (!post || post.type !== 'POST' || (!isAdmin && (post.status !== 'PUBLISHED' || post.publishedAt > new Date()))) {
+      return res.status(404).json({
+        error: 'Post not found',
+        code: 'POST_NOT_FOUND'
       });
     }
 
-    // Get post with tags
-    const postWithTags = await prisma.post.findUnique({
-      where: { id: post.id },
-      include: {
-        author: {
-          select: {
-            id: true,
-            username: true,
-            firstName: true,
-            lastName: true
-          }
-        },
-        category: true,
-        tags: {
-          include: {
-            tag: true
-          }
-        }
-      }
+    const weights = normalizeWeights({
+      tags: tagWeight,
+      category: categoryWeight,
+      content: contentWeight
     });
 
-    res.status(201).json({
-      message: 'Post created successfully',
-      post: {
-        ...postWithTags,
-        tags: postWithTags.tags.map(pt => pt.tag)
+    res.json({
+      related: await getRelatedPosts(post, { limit, weights }),
+      weights
+    });
+  } catch (error) {
+    console.error('Get related posts error:', error);
+    res.status(500).json({
+      error: 'Failed to get related posts',
+      code: 'GET_RELATED_POSTS_ERROR'
+    });
+  }
+});
+
+/**
+ * PUT /api/posts/featured
+ * Set the featured collection to these posts, in this order.
+ * Posts left out are removed from it.
+ */
+router.put('/featured', authenticateToken, requireRole(['ADMIN', 'EDITOR']), [
+  body('postIds').isArray({ max: 50 }).withMessage('Post IDs must be an array of at most 50 posts'),
+  body('postIds.*').isString().withMessage('Post IDs must be strings')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const postIds = [...new Set(req.body.postIds)];
+
+    const found = await prisma.post.count({
+      where: {
+        id: { in: postIds },
+        type: 'POST',
+        status: { not: 'TRASH' }
       }
     });
+
+    if (found !== postIds.length) {
+      return res.status(400).json({
+        error: 'One or more posts were not found',
+        code: 'POST_NOT_FOUND'
+      });
+    }
+
+    await prisma.$transaction([
+      prisma.post.updateMany({
+        where: { featuredOrder: { not: null }, id: { notIn: postIds } },
+        data: { featuredOrder: null }
+      }),
+      ...postIds.map((postId, index) => prisma.post.update({
+        where: { id: postId },
+        data: { featuredOrder: index }
+      }))
+    ]);
+
+    const featured = await prisma.post.findMany({
+      where: { featuredOrder: { not: null } },
+      select: {
+        id: true,
+        title: true,
+        slug: true,
+        status: true,
+        publishedAt: true,
+        featuredOrder: true
+      },
+      orderBy: { featuredOrder: 'asc' }
+    });
+
+    res.json({
+      message: 'Featured posts updated successfully',
+      posts: featured
+    });
   } catch (error) {
-    console.error('Create post error:', error);
+    console.error('Set featured posts error:', error);
     res.status(500).json({
-      error: 'Failed to create post',
-      code: 'CREATE_POST_ERROR'
+      error: 'Failed to update featured posts',
+      code: 'SET_FEATURED_POSTS_ERROR'
     });
   }
 });
 
 /**
- * PUT /api/posts/:id
- * Update post
+ * POST /api/posts
+ * Create new post
  */
-router.put('/:id', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR']), postValidation, async (req, res) => {
+router.post('/', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR']), postValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -449,16 +985,26 @@ router.put('/:id', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR'])
       });
     }
 
-    const { id } = req.params;
     const {
       title,
       content,
+      contentFormat = 'HTML',
       excerpt,
       featuredImage,
-      status,
+      status = 'DRAFT',
+      visibility = 'PUBLIC',
+      password,
       categoryId,
       tags = [],
+      authors,
+      seriesId,
+      seriesOrder,
+      meta,
       scheduledAt,
+      isSticky,
+      stickyUntil,
+      locale,
+      translationOf,
       metaTitle,
       metaDescription,
       canonicalUrl,
@@ -470,56 +1016,91 @@ router.put('/:id', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR'])
       twitterImage
     } = req.body;
 
-    // Check if post exists and user has permission
-    const existingPost = await prisma.post.findUnique({
-      where: { id },
-      include: { author: true }
-    });
+    if (!canSetStatus(req.user, status)) {
+      return res.status(403).json({
+        error: 'Authors must submit posts for review before they are published',
+        code: 'REVIEW_REQUIRED'
+      });
+    }
 
-    if (!existingPost) {
-      return res.status(404).json({
-        error: 'Post not found',
-        code: 'POST_NOT_FOUND'
+    const authorsError = authors && await validateBylines(authors);
+    if (authorsError) {
+      return res.status(400).json({
+        error: authorsError,
+        code: 'INVALID_AUTHORS'
       });
     }
 
-    // Check permissions
-    if (req.user.role !== 'ADMIN' && existingPost.authorId !== req.user.id) {
-      return res.status(403).json({
-        error: 'You can only edit your own posts',
-        code: 'INSUFFICIENT_PERMISSIONS'
+    const membership = await resolveSeriesMembership(seriesId, seriesOrder);
+    if (membership.error) {
+      return res.status(400).json({
+        error: membership.error,
+        code: membership.code
       });
     }
 
-    // Generate new slug if title changed
-    let slug = existingPost.slug;
-    if (title !== existingPost.title) {
-      slug = await generateUniqueSlug(title, id);
+    const sticky = resolveStickyFields(req.user, isSticky, stickyUntil);
+    if (sticky.error) {
+      return res.status(sticky.status).json({
+        error: sticky.error,
+        code: sticky.code
+      });
     }
 
-    // Handle published date
-    let publishedAt = existingPost.publishedAt;
-    if (status === 'PUBLISHED' && existingPost.status !== 'PUBLISHED') {
+    const visibilityError = validateVisibility(visibility, password);
+    if (visibilityError) {
+      return res.status(400).json({
+        error: visibilityError,
+        code: 'INVALID_VISIBILITY'
+      });
+    }
+
+    const metaChanges = await validatePostMeta(meta || {}, 'POST', { isNew: true });
+    if (metaChanges.errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid custom field values',
+        code: 'INVALID_META',
+        details: metaChanges.errors
+      });
+    }
+
+    const translation = await resolveTranslationFields(locale, translationOf);
+    if (translation.error) {
+      return res.status(translation.status).json({
+        error: translation.error,
+        code: translation.code,
+        translation: translation.translation
+      });
+    }
+
+    // Generate unique slug
+    const slug = await generateUniqueSlug(title);
+
+    // Set published date if status is PUBLISHED
+    let publishedAt = null;
+    if (status === 'PUBLISHED') {
       publishedAt = new Date();
     } else if (status === 'SCHEDULED' && scheduledAt) {
       publishedAt = new Date(scheduledAt);
-    } else if (status !== 'PUBLISHED' && status !== 'SCHEDULED') {
-      publishedAt = null;
     }
 
-    // Update post
-    const post = await prisma.post.update({
-      where: { id },
+    // Create post
+    const post = await prisma.post.create({
       data: {
         title,
         slug,
-        content,
+        ...prepareContent(content, contentFormat, await getSanitizerPolicy(req.user.role)),
         excerpt,
         featuredImage,
         status,
+        visibility,
         publishedAt,
         scheduledAt: scheduledAt ? new Date(scheduledAt) : null,
+        authorId: req.user.id,
         categoryId,
+        ...membership.data,
+        ...sticky.data,
+        ...translation.data,
         metaTitle,
         metaDescription,
         canonicalUrl,
@@ -529,42 +1110,45 @@ router.put('/:id', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR'])
         twitterTitle,
         twitterDescription,
         twitterImage
+      },
+      include: {
+        author: {
+          select: {
+            id: true,
+            username: true,
+            firstName: true,
+            lastName: true
+          }
+        },
+        category: true
       }
     });
 
-    // Update tags
-    await prisma.postTag.deleteMany({ where: { postId: id } });
-    
-    if (tags.length > 0) {
-      const tagConnections = [];
-      
-      for (const tagName of tags) {
-        const tagSlug = slugify(tagName, { lower: true, strict: true });
-        let tag = await prisma.tag.findUnique({ where: { slug: tagSlug } });
-        
-        if (!tag) {
-          tag = await prisma.tag.create({
-            data: {
-              name: tagName,
-              slug: tagSlug
-            }
-          });
+    if (status === 'PENDING_REVIEW') {
+      await prisma.postTransition.create({
+        data: {
+          postId: post.id,
+          fromStatus: 'DRAFT',
+          toStatus: 'PENDING_REVIEW',
+          action: 'submit',
+          actorId: req.user.id
         }
-        
-        tagConnections.push({
-          postId: id,
-          tagId: tag.id
-        });
-      }
-
-      await prisma.postTag.createMany({
-        data: tagConnections
       });
     }
 
-    // Get updated post with relations
-    const updatedPost = await prisma.post.findUnique({
-      where: { id },
+    // Handle tags, bylines, custom fields and the post password
+    await syncPostTags(post.id, tags);
+    if (authors) {
+      await syncPostBylines(post.id, authors);
+    }
+    await savePostMeta(post.id, metaChanges);
+    await syncPostPassword(post.id, visibility, password && await hashPostPassword(password));
+    await syncSearchIndex(post.id);
+    clearRelatedPostsCache();
+
+    // Get post with tags
+    const postWithTags = await prisma.post.findUnique({
+      where: { id: post.id },
       include: {
         author: {
           select: {
@@ -574,6 +1158,8 @@ router.put('/:id', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR'])
             lastName: true
           }
         },
+        bylines: bylinesInclude,
+        meta: metaInclude,
         category: true,
         tags: {
           include: {
@@ -583,34 +1169,87 @@ router.put('/:id', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR'])
       }
     });
 
-    res.json({
-      message: 'Post updated successfully',
+    const { bylines, ...createdPost } = postWithTags;
+
+    res.status(201).json({
+      message: 'Post created successfully',
       post: {
-        ...updatedPost,
-        tags: updatedPost.tags.map(pt => pt.tag)
+        ...createdPost,
+        authors: publicBylines(postWithTags),
+        meta: formatMeta(postWithTags.meta),
+        tableOfContents: parseTableOfContents(postWithTags.tableOfContents),
+        tags: postWithTags.tags.map(pt => pt.tag)
       }
     });
   } catch (error) {
-    console.error('Update post error:', error);
+    console.error('Create post error:', error);
     res.status(500).json({
-      error: 'Failed to update post',
-      code: 'UPDATE_POST_ERROR'
+      error: 'Failed to create post',
+      code: 'CREATE_POST_ERROR'
     });
   }
 });
 
 /**
- * DELETE /api/posts/:id
- * Delete post
+ * PUT /api/posts/:id
+ * Update post
  */
-router.delete('/:id', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR']), async (req, res) => {
+router.put('/:id', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR']), postValidation, async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
     const { id } = req.params;
+    const {
+      title,
+      content,
+      contentFormat,
+      excerpt,
+      featuredImage,
+      status,
+      visibility,
+      password,
+      categoryId,
+      tags = [],
+      authors,
+      seriesId,
+      seriesOrder,
+      meta,
+      scheduledAt,
+      isSticky,
+      stickyUntil,
+      locale,
+      translationOf,
+      metaTitle,
+      metaDescription,
+      canonicalUrl,
+      ogTitle,
+      ogDescription,
+      ogImage,
+      twitterTitle,
+      twitterDescription,
+      twitterImage
+    } = req.body;
 
     // Check if post exists and user has permission
     const existingPost = await prisma.post.findUnique({
       where: { id },
-      include: { author: true }
+      include: {
+        author: true,
+        password: {
+          select: { id: true }
+        },
+        tags: {
+          include: {
+            tag: true
+          }
+        }
+      }
     });
 
     if (!existingPost) {
@@ -623,24 +1262,1993 @@ router.delete('/:id', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR
     // Check permissions
     if (req.user.role !== 'ADMIN' && existingPost.authorId !== req.user.id) {
       return res.status(403).json({
-        error: 'You can only delete your own posts',
+        error: 'You can only edit your own posts',
         code: 'INSUFFICIENT_PERMISSIONS'
       });
     }
 
-    // Delete post (cascade will handle related records)
-    await prisma.post.delete({
-      where: { id }
-    });
+    if (status && !canSetStatus(req.user, status, existingPost.status)) {
+      return res.status(403).json({
+        error: 'Authors must submit posts for review before they are published',
+        code: 'REVIEW_REQUIRED'
+      });
+    }
 
-    res.json({
-      message: 'Post deleted successfully'
-    });
-  } catch (error) {
-    console.error('Delete post error:', error);
-    res.status(500).json({
-      error: 'Failed to delete post',
-      code: 'DELETE_POST_ERROR'
+    // Someone else has the post open in the editor
+    const lock = await getActiveLock(id);
+    if (lock && lock.userId !== req.user.id) {
+      return res.status(423).json({
+        error: `${lock.user.username} is currently editing this post`,
+        code: 'POST_LOCKED',
+        lock: formatLock(lock)
+      });
+    }
+
+    // Saves must say which version they replace, or the last write wins
+    if (!hasVersionPrecondition(req)) {
+      return res.status(428).json({
+        error: 'Send the post ETag in If-Match, or its version in the body',
+        code: 'VERSION_REQUIRED',
+        version: getPostEtag(existingPost)
+      });
+    }
+
+    if (isStaleVersion(req, existingPost)) {
+      return sendEditConflict(res, id);
+    }
+
+    const authorsError = authors && await validateBylines(authors);
+    if (authorsError) {
+      return res.status(400).json({
+        error: authorsError,
+        code: 'INVALID_AUTHORS'
+      });
+    }
+
+    const membership = await resolveSeriesMembership(seriesId, seriesOrder, existingPost);
+    if (membership.error) {
+      return res.status(400).json({
+        error: membership.error,
+        code: membership.code
+      });
+    }
+
+    const sticky = resolveStickyFields(req.user, isSticky, stickyUntil);
+    if (sticky.error) {
+      return res.status(sticky.status).json({
+        error: sticky.error,
+        code: sticky.code
+      });
+    }
+
+    const nextVisibility = visibility || existingPost.visibility;
+    const visibilityError = validateVisibility(nextVisibility, password, Boolean(existingPost.password));
+    if (visibilityError) {
+      return res.status(400).json({
+        error: visibilityError,
+        code: 'INVALID_VISIBILITY'
+      });
+    }
+    const passwordHash = password ? await hashPostPassword(password) : null;
+
+    // Only the custom fields that were sent are changed
+    const metaChanges = meta !== undefined ? await validatePostMeta(meta, 'POST') : null;
+    if (metaChanges && metaChanges.errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid custom field values',
+        code: 'INVALID_META',
+        details: metaChanges.errors
+      });
+    }
+
+    const translation = await resolveTranslationFields(locale, translationOf, existingPost);
+    if (translation.error) {
+      return res.status(translation.status).json({
+        error: translation.error,
+        code: translation.code,
+        translation: translation.translation
+      });
+    }
+
+    // Generate new slug if title changed
+    let slug = existingPost.slug;
+    if (title !== existingPost.title) {
+      slug = await generateUniqueSlug(title, id);
+    }
+
+    // Handle published date
+    let publishedAt = existingPost.publishedAt;
+    if (status === 'PUBLISHED' && existingPost.status !== 'PUBLISHED') {
+      publishedAt = new Date();
+    } else if (status === 'SCHEDULED' && scheduledAt) {
+      publishedAt = new Date(scheduledAt);
+    } else if (status !== 'PUBLISHED' && status !== 'SCHEDULED') {
+      publishedAt = null;
+    }
+
+    const contentFields = prepareContent(
+      content,
+      contentFormat || existingPost.contentFormat,
+      await getPostSanitizerPolicy(existingPost.authorId)
+    );
+
+    // Update post, unless another save landed since it was loaded
+    try {
+      await prisma.$transaction(async (tx) => {
+        // Keep the previous version before overwriting it
+        await savePostRevision(existingPost, req.user.id, tx);
+        await recordSlugChange(id, existingPost.slug, slug, tx);
+
+        await tx.post.update({
+          where: { id, version: existingPost.version },
+          data: {
+            ...VERSION_BUMP,
+            title,
+            slug,
+            ...contentFields,
+            excerpt,
+            featuredImage,
+            status,
+            visibility: nextVisibility,
+            publishedAt,
+            scheduledAt: scheduledAt ? new Date(scheduledAt) : null,
+            categoryId,
+            ...membership.data,
+            ...sticky.data,
+            ...translation.data,
+            metaTitle,
+            metaDescription,
+            canonicalUrl,
+            ogTitle,
+            ogDescription,
+            ogImage,
+            twitterTitle,
+            twitterDescription,
+            twitterImage
+          }
+        });
+
+        // The saved version replaces the user's working copy
+        await tx.postAutosave.deleteMany({
+          where: { postId: id, userId: req.user.id }
+        });
+      });
+    } catch (error) {
+      if (error.code === 'P2025') {
+        return sendEditConflict(res, id);
+      }
+      throw error;
+    }
+
+    if (status && status !== existingPost.status) {
+      await prisma.postTransition.create({
+        data: {
+          postId: id,
+          fromStatus: existingPost.status,
+          toStatus: status,
+          action: status === 'PENDING_REVIEW' ? 'submit' : null,
+          actorId: req.user.id
+        }
+      });
+    }
+
+    // Update tags, and bylines and custom fields when they were sent
+    await syncPostTags(id, tags);
+    if (authors) {
+      await syncPostBylines(id, authors);
+    }
+    if (metaChanges) {
+      await savePostMeta(id, metaChanges);
+    }
+    await syncPostPassword(id, nextVisibility, passwordHash);
+    await syncSearchIndex(id);
+    clearRelatedPostsCache();
+
+    // Get updated post with relations
+    const updatedPost = await prisma.post.findUnique({
+      where: { id },
+      include: {
+        author: {
+          select: {
+            id: true,
+            username: true,
+            firstName: true,
+            lastName: true
+          }
+        },
+        bylines: bylinesInclude,
+        meta: metaInclude,
+        category: true,
+        tags: {
+          include: {
+            tag: true
+          }
+        }
+      }
+    });
+
+    const { bylines, ...savedPost } = updatedPost;
+
+    res.set('ETag', getPostEtag(updatedPost));
+    res.json({
+      message: 'Post updated successfully',
+      post: {
+        ...savedPost,
+        authors: publicBylines(updatedPost),
+        meta: formatMeta(updatedPost.meta),
+        tableOfContents: parseTableOfContents(updatedPost.tableOfContents),
+        tags: updatedPost.tags.map(pt => pt.tag)
+      }
+    });
+  } catch (error) {
+    console.error('Update post error:', error);
+    res.status(500).json({
+      error: 'Failed to update post',
+      code: 'UPDATE_POST_ERROR'
+    });
+  }
+});
+
+/**
+ * Load a post with its tags and check the user may edit it
+ */
+const findEditablePost = async (id, user) => {
+  const post = await prisma.post.findUnique({
+    where: { id },
+    include: {
+      tags: {
+        include: {
+          tag: true
+        }
+      }
+    }
+  });
+
+  if (!post) {
+    return { status: 404, error: 'Post not found', code: 'POST_NOT_FOUND' };
+  }
+
+  if (user.role !== 'ADMIN' && post.authorId !== user.id) {
+    return { status: 403, error: 'You can only edit your own posts', code: 'INSUFFICIENT_PERMISSIONS' };
+  }
+
+  return { post };
+};
+
+/**
+ * GET /api/posts/:id/translations
+ * List every post in the translation group, drafts included
+ */
+router.get('/:id/translations', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await findEditablePost(id, req.user);
+    if (!result.post) {
+      return res.status(result.status).json({
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    const { translationGroupId } = result.post;
+
+    const translations = translationGroupId
+      ? await prisma.post.findMany({
+        where: {
+          translationGroupId,
+          id: { not: id }
+        },
+        select: {
+          id: true,
+          title: true,
+          slug: true,
+          locale: true,
+          status: true,
+          updatedAt: true
+        },
+        orderBy: { locale: 'asc' }
+      })
+      : [];
+
+    res.json({
+      locale: result.post.locale,
+      translationGroupId,
+      translations,
+      total: translations.length
+    });
+  } catch (error) {
+    console.error('Get post translations error:', error);
+    res.status(500).json({
+      error: 'Failed to get post translations',
+      code: 'GET_TRANSLATIONS_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/posts/:id/duplicate
+ * Copy a post into a new draft owned by the current user, keeping its
+ * content, category, tags, custom fields and SEO settings
+ */
+router.post('/:id/duplicate', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const source = await prisma.post.findUnique({
+      where: { id },
+      include: {
+        meta: {
+          select: {
+            fieldId: true,
+            value: true,
+            numberValue: true,
+            dateValue: true
+          }
+        },
+        tags: {
+          include: {
+            tag: true
+          }
+        }
+      }
+    });
+
+    // Others' posts can be copied once readers can see them
+    const isStaff = ['ADMIN', 'EDITOR'].includes(req.user.role);
+    const isReadable = source &&
+      source.status === 'PUBLISHED' &&
+      source.publishedAt <= new Date() &&
+      readableVisibilities(req.user).includes(source.visibility);
+
+    if (!source || source.type !== 'POST' || source.status === 'TRASH' ||
+      (!isStaff && source.authorId !== req.user.id && !isReadable)) {
+      return res.status(404).json({
+        error: 'Post not found',
+        code: 'POST_NOT_FOUND'
+      });
+    }
+
+    const title = `${source.title} (Copy)`;
+
+    // The copy is a new post: it starts as an unpinned draft outside any
+    // series or translation group, and the password isn't copied
+    const post = await prisma.post.create({
+      data: {
+        title,
+        slug: await generateUniqueSlug(title),
+        ...prepareContent(
+          source.contentSource !== null ? source.contentSource : source.content,
+          source.contentFormat,
+          await getSanitizerPolicy(req.user.role)
+        ),
+        excerpt: source.excerpt,
+        featuredImage: source.featuredImage,
+        status: 'DRAFT',
+        visibility: source.visibility === 'PASSWORD' ? 'PUBLIC' : source.visibility,
+        locale: source.locale,
+        authorId: req.user.id,
+        categoryId: source.categoryId,
+        metaTitle: source.metaTitle,
+        metaDescription: source.metaDescription,
+        ogTitle: source.ogTitle,
+        ogDescription: source.ogDescription,
+        ogImage: source.ogImage,
+        twitterTitle: source.twitterTitle,
+        twitterDescription: source.twitterDescription,
+        twitterImage: source.twitterImage
+      }
+    });
+
+    await syncPostTags(post.id, source.tags.map(pt => pt.tag.name));
+    await savePostMeta(post.id, { upserts: source.meta });
+    await syncSearchIndex(post.id);
+
+    const duplicate = await prisma.post.findUnique({
+      where: { id: post.id },
+      include: {
+        author: {
+          select: {
+            id: true,
+            username: true,
+            firstName: true,
+            lastName: true
+          }
+        },
+        bylines: bylinesInclude,
+        meta: metaInclude,
+        category: true,
+        tags: {
+          include: {
+            tag: true
+          }
+        }
+      }
+    });
+
+    const { bylines, ...duplicatedPost } = duplicate;
+
+    res.status(201).json({
+      message: 'Post duplicated successfully',
+      post: {
+        ...duplicatedPost,
+        authors: publicBylines(duplicate),
+        meta: formatMeta(duplicate.meta),
+        tableOfContents: parseTableOfContents(duplicate.tableOfContents),
+        tags: duplicate.tags.map(pt => pt.tag)
+      }
+    });
+  } catch (error) {
+    console.error('Duplicate post error:', error);
+    res.status(500).json({
+      error: 'Failed to duplicate post',
+      code: 'DUPLICATE_POST_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/posts/:id/revisions
+ * List revisions of a post, newest first
+ */
+router.get('/:id/revisions', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await findEditablePost(id, req.user);
+    if (!result.post) {
+      return res.status(result.status).json({
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    const revisions = await prisma.postRevision.findMany({
+      where: { postId: id },
+      select: {
+        id: true,
+        title: true,
+        slug: true,
+        status: true,
+        createdAt: true,
+        editor: {
+          select: {
+            id: true,
+            username: true,
+            firstName: true,
+            lastName: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      revisions,
+      total: revisions.length
+    });
+  } catch (error) {
+    console.error('Get post revisions error:', error);
+    res.status(500).json({
+      error: 'Failed to get post revisions',
+      code: 'GET_REVISIONS_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/posts/:id/revisions/diff?from=:revisionId&to=:revisionId|current
+ * Word-level diff between two revisions, or a revision and the current post
+ */
+router.get('/:id/revisions/diff', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, to = 'current' } = req.query;
+
+    if (!from) {
+      return res.status(400).json({
+        error: 'The from revision is required',
+        code: 'REVISION_REQUIRED'
+      });
+    }
+
+    const result = await findEditablePost(id, req.user);
+    if (!result.post) {
+      return res.status(result.status).json({
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    // Resolve a revision id, or "current" for the live post
+    const resolveVersion = async (revisionId) => {
+      if (revisionId === 'current') {
+        return {
+          id: 'current',
+          createdAt: result.post.updatedAt,
+          ...toRevisionData(result.post)
+        };
+      }
+
+      return prisma.postRevision.findFirst({
+        where: { id: revisionId, postId: id }
+      });
+    };
+
+    const [fromVersion, toVersion] = await Promise.all([
+      resolveVersion(from),
+      resolveVersion(to)
+    ]);
+
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({
+        error: 'Revision not found',
+        code: 'REVISION_NOT_FOUND'
+      });
+    }
+
+    const changes = {
+      title: diffWords(fromVersion.title, toVersion.title),
+      excerpt: diffWords(fromVersion.excerpt || '', toVersion.excerpt || ''),
+      content: diffWords(fromVersion.content, toVersion.content)
+    };
+
+    // Remaining fields are compared as whole values
+    const fields = {};
+    [...REVISION_FIELDS, 'tags']
+      .filter(field => !['title', 'excerpt', 'content'].includes(field))
+      .forEach(field => {
+        const fromValue = field === 'tags' ? JSON.parse(fromVersion.tags) : fromVersion[field];
+        const toValue = field === 'tags' ? JSON.parse(toVersion.tags) : toVersion[field];
+
+        if (JSON.stringify(fromValue) !== JSON.stringify(toValue)) {
+          fields[field] = { from: fromValue, to: toValue };
+        }
+      });
+
+    res.json({
+      from: { id: fromVersion.id, createdAt: fromVersion.createdAt },
+      to: { id: toVersion.id, createdAt: toVersion.createdAt },
+      changes,
+      fields,
+      stats: diffStats(changes.content)
+    });
+  } catch (error) {
+    console.error('Diff post revisions error:', error);
+    res.status(500).json({
+      error: 'Failed to diff post revisions',
+      code: 'DIFF_REVISIONS_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/posts/:id/revisions/:revisionId
+ * Get a single revision
+ */
+router.get('/:id/revisions/:revisionId', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR']), async (req, res) => {
+  try {
+    const { id, revisionId } = req.params;
+
+    const result = await findEditablePost(id, req.user);
+    if (!result.post) {
+      return res.status(result.status).json({
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    const revision = await prisma.postRevision.findFirst({
+      where: { id: revisionId, postId: id },
+      include: {
+        editor: {
+          select: {
+            id: true,
+            username: true,
+            firstName: true,
+            lastName: true
+          }
+        }
+      }
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        error: 'Revision not found',
+        code: 'REVISION_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      revision: {
+        ...revision,
+        tags: JSON.parse(revision.tags)
+      }
+    });
+  } catch (error) {
+    console.error('Get post revision error:', error);
+    res.status(500).json({
+      error: 'Failed to get post revision',
+      code: 'GET_REVISION_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/posts/:id/revisions/:revisionId/restore
+ * Restore a revision's content, SEO fields, category and tags.
+ * Status and publish dates are left as they are.
+ */
+router.post('/:id/revisions/:revisionId/restore', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR']), async (req, res) => {
+  try {
+    const { id, revisionId } = req.params;
+
+    const result = await findEditablePost(id, req.user);
+    if (!result.post) {
+      return res.status(result.status).json({
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    const existingPost = result.post;
+
+    const revision = await prisma.postRevision.findFirst({
+      where: { id: revisionId, postId: id }
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        error: 'Revision not found',
+        code: 'REVISION_NOT_FOUND'
+      });
+    }
+
+    // Someone else has the post open in the editor
+    const lock = await getActiveLock(id);
+    if (lock && lock.userId !== req.user.id) {
+      return res.status(423).json({
+        error: `${lock.user.username} is currently editing this post`,
+        code: 'POST_LOCKED',
+        lock: formatLock(lock)
+      });
+    }
+
+    if (isStaleVersion(req, existingPost)) {
+      return sendEditConflict(res, id);
+    }
+
+    // Generate new slug if title changed
+    let slug = existingPost.slug;
+    if (revision.title !== existingPost.title) {
+      slug = await generateUniqueSlug(revision.title, id);
+    }
+
+    // The category may have been removed since the revision was taken
+    let categoryId = revision.categoryId;
+    if (categoryId) {
+      const category = await prisma.category.findUnique({
+        where: { id: categoryId },
+        select: { id: true }
+      });
+      categoryId = category ? category.id : null;
+    }
+
+    // Older revisions may predate the current sanitizer policy
+    const contentFields = prepareContent(
+      revision.contentSource !== null ? revision.contentSource : revision.content,
+      revision.contentFormat,
+      await getPostSanitizerPolicy(existingPost.authorId)
+    );
+
+    // Restore the revision, unless another save landed since the post
+    // was loaded
+    try {
+      await prisma.$transaction(async (tx) => {
+        // The version being replaced becomes a revision itself
+        await savePostRevision(existingPost, req.user.id, tx);
+        await recordSlugChange(id, existingPost.slug, slug, tx);
+
+        await tx.post.update({
+          where: { id, version: existingPost.version },
+          data: {
+            ...VERSION_BUMP,
+            title: revision.title,
+            slug,
+            ...contentFields,
+            excerpt: revision.excerpt,
+            featuredImage: revision.featuredImage,
+            categoryId,
+            metaTitle: revision.metaTitle,
+            metaDescription: revision.metaDescription,
+            canonicalUrl: revision.canonicalUrl,
+            ogTitle: revision.ogTitle,
+            ogDescription: revision.ogDescription,
+            ogImage: revision.ogImage,
+            twitterTitle: revision.twitterTitle,
+            twitterDescription: revision.twitterDescription,
+            twitterImage: revision.twitterImage
+          }
+        });
+      });
+    } catch (error) {
+      if (error.code === 'P2025') {
+        return sendEditConflict(res, id);
+      }
+      throw error;
+    }
+
+    await syncPostTags(id, JSON.parse(revision.tags));
+    await syncSearchIndex(id);
+    clearRelatedPostsCache();
+
+    const restoredPost = await prisma.post.findUnique({
+      where: { id },
+      include: {
+        author: {
+          select: {
+            id: true,
+            username: true,
+            firstName: true,
+            lastName: true
+          }
+        },
+        category: true,
+        tags: {
+          include: {
+            tag: true
+          }
+        }
+      }
+    });
+
+    res.set('ETag', getPostEtag(restoredPost));
+    res.json({
+      message: 'Revision restored successfully',
+      post: {
+        ...restoredPost,
+        tableOfContents: parseTableOfContents(restoredPost.tableOfContents),
+        tags: restoredPost.tags.map(pt => pt.tag)
+      }
+    });
+  } catch (error) {
+    console.error('Restore post revision error:', error);
+    res.status(500).json({
+      error: 'Failed to restore revision',
+      code: 'RESTORE_REVISION_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/posts/:id/autosave
+ * Get the current user's unsaved working copy of a post
+ */
+router.get('/:id/autosave', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await findEditablePost(id, req.user);
+    if (!result.post) {
+      return res.status(result.status).json({
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    const autosave = await prisma.postAutosave.findUnique({
+      where: {
+        postId_userId: {
+          postId: id,
+          userId: req.user.id
+        }
+      }
+    });
+
+    res.json({
+      autosave: autosave ? formatAutosave(autosave, result.post) : null
+    });
+  } catch (error) {
+    console.error('Get autosave error:', error);
+    res.status(500).json({
+      error: 'Failed to get autosave',
+      code: 'GET_AUTOSAVE_ERROR'
+    });
+  }
+});
+
+/**
+ * PUT /api/posts/:id/autosave
+ * Store the editor's working copy without touching the live post.
+ * Only the fields sent are updated.
+ */
+router.put('/:id/autosave', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR']), [
+  body('title').optional().isLength({ max: 200 }).withMessage('Title must be under 200 characters'),
+  body('content').optional().isString().withMessage('Content must be a string'),
+  body('excerpt').optional({ nullable: true }).isLength({ max: 500 }).withMessage('Excerpt must be under 500 characters'),
+  body('tags').optional().isArray().withMessage('Tags must be an array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { title, content, excerpt } = req.body;
+
+    const result = await findEditablePost(id, req.user);
+    if (!result.post) {
+      return res.status(result.status).json({
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    const where = {
+      postId_userId: {
+        postId: id,
+        userId: req.user.id
+      }
+    };
+
+    const existing = await prisma.postAutosave.findUnique({ where });
+
+    const fields = existing ? JSON.parse(existing.fields) : {};
+    AUTOSAVE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        fields[field] = req.body[field];
+      }
+    });
+
+    const autosave = await prisma.postAutosave.upsert({
+      where,
+      create: {
+        postId: id,
+        userId: req.user.id,
+        title,
+        content,
+        excerpt,
+        fields: JSON.stringify(fields),
+        baseVersion: result.post.version
+      },
+      update: {
+        title,
+        content,
+        excerpt,
+        fields: JSON.stringify(fields)
+      }
+    });
+
+    res.json({
+      message: 'Changes autosaved',
+      autosave: formatAutosave(autosave, result.post)
+    });
+  } catch (error) {
+    console.error('Autosave post error:', error);
+    res.status(500).json({
+      error: 'Failed to autosave post',
+      code: 'AUTOSAVE_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/posts/:id/autosave
+ * Discard the current user's working copy
+ */
+router.delete('/:id/autosave', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    await prisma.postAutosave.deleteMany({
+      where: { postId: id, userId: req.user.id }
+    });
+
+    res.json({
+      message: 'Autosave discarded'
+    });
+  } catch (error) {
+    console.error('Discard autosave error:', error);
+    res.status(500).json({
+      error: 'Failed to discard autosave',
+      code: 'DISCARD_AUTOSAVE_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/posts/:id/autosave/promote
+ * Save the working copy as the post. If the post was saved by someone
+ * else after the copy was started, send { force: true } to overwrite.
+ */
+router.post('/:id/autosave/promote', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const force = req.body.force === true;
+
+    const result = await findEditablePost(id, req.user);
+    if (!result.post) {
+      return res.status(result.status).json({
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    const existingPost = result.post;
+
+    const autosave = await prisma.postAutosave.findUnique({
+      where: {
+        postId_userId: {
+          postId: id,
+          userId: req.user.id
+        }
+      }
+    });
+
+    if (!autosave) {
+      return res.status(404).json({
+        error: 'No autosaved changes to save',
+        code: 'AUTOSAVE_NOT_FOUND'
+      });
+    }
+
+    const lock = await getActiveLock(id);
+    if (lock && lock.userId !== req.user.id) {
+      return res.status(423).json({
+        error: `${lock.user.username} is currently editing this post`,
+        code: 'POST_LOCKED',
+        lock: formatLock(lock)
+      });
+    }
+
+    if (!force && existingPost.version > autosave.baseVersion) {
+      return sendEditConflict(res, id);
+    }
+
+    const { tags, contentFormat, ...fields } = JSON.parse(autosave.fields);
+
+    // The category may have been removed since the copy was saved
+    if (fields.categoryId) {
+      const category = await prisma.category.findUnique({
+        where: { id: fields.categoryId },
+        select: { id: true }
+      });
+      fields.categoryId = category ? category.id : null;
+    }
+
+    // Autosaves hold what the editor shows, which is the Markdown source
+    // of Markdown posts, so the content is rendered again here
+    const editableContent = existingPost.contentSource !== null ? existingPost.contentSource : existingPost.content;
+    const contentFields = prepareContent(
+      autosave.content !== null ? autosave.content : editableContent,
+      contentFormat || existingPost.contentFormat,
+      await getPostSanitizerPolicy(existingPost.authorId)
+    );
+
+    const title = autosave.title || existingPost.title;
+
+    // The working copy was saved field by field, so check it as a whole
+    const validation = await validateWorkingCopy({
+      ...fields,
+      tags,
+      contentFormat,
+      title,
+      content: autosave.content !== null ? autosave.content : editableContent,
+      excerpt: autosave.excerpt !== null ? autosave.excerpt : undefined
+    });
+    if (!validation.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: validation.array()
+      });
+    }
+
+    let slug = existingPost.slug;
+    if (title !== existingPost.title) {
+      slug = await generateUniqueSlug(title, id);
+    }
+
+    try {
+      await prisma.$transaction(async (tx) => {
+        await savePostRevision(existingPost, req.user.id, tx);
+        await recordSlugChange(id, existingPost.slug, slug, tx);
+
+        await tx.post.update({
+          where: { id, version: existingPost.version },
+          data: {
+            ...VERSION_BUMP,
+            ...fields,
+            title,
+            slug,
+            ...contentFields,
+            excerpt: autosave.excerpt !== null ? autosave.excerpt : existingPost.excerpt
+          }
+        });
+
+        await tx.postAutosave.delete({
+          where: { id: autosave.id }
+        });
+      });
+    } catch (error) {
+      if (error.code === 'P2025') {
+        return sendEditConflict(res, id);
+      }
+      throw error;
+    }
+
+    if (tags) {
+      await syncPostTags(id, tags);
+    }
+    await syncSearchIndex(id);
+    clearRelatedPostsCache();
+
+    const updatedPost = await prisma.post.findUnique({
+      where: { id },
+      include: {
+        author: {
+          select: {
+            id: true,
+            username: true,
+            firstName: true,
+            lastName: true
+          }
+        },
+        category: true,
+        tags: {
+          include: {
+            tag: true
+          }
+        }
+      }
+    });
+
+    res.set('ETag', getPostEtag(updatedPost));
+    res.json({
+      message: 'Autosaved changes saved to the post',
+      post: {
+        ...updatedPost,
+        tableOfContents: parseTableOfContents(updatedPost.tableOfContents),
+        tags: updatedPost.tags.map(pt => pt.tag)
+      }
+    });
+  } catch (error) {
+    console.error('Promote autosave error:', error);
+    res.status(500).json({
+      error: 'Failed to save autosaved changes',
+      code: 'PROMOTE_AUTOSAVE_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/posts/:id/preview-tokens
+ * Create a shareable preview link for a post
+ */
+router.post('/:id/preview-tokens', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR']), [
+  body('expiresInHours').optional().isInt({ min: 1, max: MAX_PREVIEW_HOURS }).withMessage(`Expiry must be between 1 and ${MAX_PREVIEW_HOURS} hours`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    const result = await findEditablePost(id, req.user);
+    if (!result.post) {
+      return res.status(result.status).json({
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    const { token, previewToken } = await createPreviewToken(
+      id,
+      req.user.id,
+      req.body.expiresInHours ? parseInt(req.body.expiresInHours) : undefined
+    );
+
+    const siteUrl = process.env.SITE_URL || 'http://localhost:3000';
+
+    res.status(201).json({
+      message: 'Preview link created successfully',
+      token,
+      url: `${siteUrl}/blog/${result.post.slug}?preview=${token}`,
+      previewToken: {
+        id: previewToken.id,
+        expiresAt: previewToken.expiresAt,
+        createdAt: previewToken.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('Create preview token error:', error);
+    res.status(500).json({
+      error: 'Failed to create preview link',
+      code: 'CREATE_PREVIEW_TOKEN_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/posts/:id/preview-tokens
+ * List preview links issued for a post
+ */
+router.get('/:id/preview-tokens', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await findEditablePost(id, req.user);
+    if (!result.post) {
+      return res.status(result.status).json({
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    const previewTokens = await prisma.previewToken.findMany({
+      where: { postId: id },
+      include: {
+        createdBy: {
+          select: {
+            id: true,
+            username: true,
+            firstName: true,
+            lastName: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    const now = new Date();
+
+    res.json({
+      previewTokens: previewTokens.map(previewToken => ({
+        ...previewToken,
+        active: !previewToken.revokedAt && previewToken.expiresAt > now
+      }))
+    });
+  } catch (error) {
+    console.error('Get preview tokens error:', error);
+    res.status(500).json({
+      error: 'Failed to get preview links',
+      code: 'GET_PREVIEW_TOKENS_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/posts/:id/preview-tokens/:tokenId
+ * Revoke a preview link
+ */
+router.delete('/:id/preview-tokens/:tokenId', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR']), async (req, res) => {
+  try {
+    const { id, tokenId } = req.params;
+
+    const result = await findEditablePost(id, req.user);
+    if (!result.post) {
+      return res.status(result.status).json({
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    const previewToken = await prisma.previewToken.findUnique({
+      where: { id: tokenId }
+    });
+
+    if (!previewToken || previewToken.postId !== id) {
+      return res.status(404).json({
+        error: 'Preview link not found',
+        code: 'PREVIEW_TOKEN_NOT_FOUND'
+      });
+    }
+
+    const revokedToken = previewToken.revokedAt
+      ? previewToken
+      : await prisma.previewToken.update({
+        where: { id: tokenId },
+        data: { revokedAt: new Date() }
+      });
+
+    res.json({
+      message: 'Preview link revoked successfully',
+      previewToken: revokedToken
+    });
+  } catch (error) {
+    console.error('Revoke preview token error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke preview link',
+      code: 'REVOKE_PREVIEW_TOKEN_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/posts/:id/lock
+ * Who is editing a post right now
+ */
+router.get('/:id/lock', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await findEditablePost(id, req.user);
+    if (!result.post) {
+      return res.status(result.status).json({
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    const lock = await getActiveLock(id);
+
+    res.json({
+      locked: Boolean(lock),
+      lock: lock ? formatLock(lock) : null,
+      heldByYou: Boolean(lock && lock.userId === req.user.id),
+      version: getPostEtag(result.post)
+    });
+  } catch (error) {
+    console.error('Get post lock error:', error);
+    res.status(500).json({
+      error: 'Failed to get post lock',
+      code: 'GET_LOCK_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/posts/:id/lock
+ * Start editing a post. Send { takeover: true } to take the lock from
+ * another editor.
+ */
+router.post('/:id/lock', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const takeover = req.body.takeover === true;
+
+    const result = await findEditablePost(id, req.user);
+    if (!result.post) {
+      return res.status(result.status).json({
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    const { lock, conflict, takenOverFrom } = await acquireLock(id, req.user.id, { takeover });
+
+    if (conflict) {
+      return res.status(409).json({
+        error: `${conflict.user.username} is currently editing this post`,
+        code: 'POST_LOCKED',
+        lock: formatLock(conflict)
+      });
+    }
+
+    res.set('ETag', getPostEtag(result.post));
+    res.json({
+      message: takenOverFrom ? 'Took over editing from another user' : 'Post locked for editing',
+      lock: formatLock(lock),
+      takenOverFrom: takenOverFrom ? takenOverFrom.user : null,
+      heartbeatSeconds: Math.floor(LOCK_TTL_SECONDS / 3),
+      version: getPostEtag(result.post)
+    });
+  } catch (error) {
+    console.error('Lock post error:', error);
+    res.status(500).json({
+      error: 'Failed to lock post',
+      code: 'LOCK_POST_ERROR'
+    });
+  }
+});
+
+/**
+ * PUT /api/posts/:id/lock
+ * Heartbeat that keeps the lock alive while the editor is open
+ */
+router.put('/:id/lock', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const lock = await refreshLock(id, req.user.id);
+
+    if (!lock) {
+      const current = await getActiveLock(id);
+      return res.status(409).json({
+        error: current
+          ? `${current.user.username} has taken over editing this post`
+          : 'Your edit lock has expired',
+        code: 'LOCK_LOST',
+        lock: current ? formatLock(current) : null
+      });
+    }
+
+    res.json({
+      lock: formatLock(lock)
+    });
+  } catch (error) {
+    console.error('Refresh post lock error:', error);
+    res.status(500).json({
+      error: 'Failed to refresh post lock',
+      code: 'REFRESH_LOCK_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/posts/:id/lock
+ * Stop editing a post. Admins can clear another user's lock.
+ */
+router.delete('/:id/lock', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    await releaseLock(id, req.user.id, { force: req.user.role === 'ADMIN' });
+
+    res.json({
+      message: 'Post unlocked'
+    });
+  } catch (error) {
+    console.error('Unlock post error:', error);
+    res.status(500).json({
+      error: 'Failed to unlock post',
+      code: 'UNLOCK_POST_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/posts/:id/submit
+ * Submit a draft for editorial review
+ */
+router.post('/:id/submit', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR']), [
+  body('comment').optional().isLength({ max: 1000 }).withMessage('Comment must be under 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { comment } = req.body;
+
+    const result = await findEditablePost(id, req.user);
+    if (!result.post) {
+      return res.status(result.status).json({
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    if (!['DRAFT', 'PRIVATE'].includes(result.post.status)) {
+      return res.status(400).json({
+        error: `A ${result.post.status.toLowerCase()} post cannot be submitted for review`,
+        code: 'INVALID_TRANSITION'
+      });
+    }
+
+    const [post, transition] = await prisma.$transaction([
+      prisma.post.update({
+        where: { id },
+        data: { ...VERSION_BUMP, status: 'PENDING_REVIEW' }
+      }),
+      prisma.postTransition.create({
+        data: {
+          postId: id,
+          fromStatus: result.post.status,
+          toStatus: 'PENDING_REVIEW',
+          action: 'submit',
+          comment,
+          actorId: req.user.id
+        }
+      })
+    ]);
+
+    clearRelatedPostsCache();
+
+    res.json({
+      message: 'Post submitted for review',
+      post,
+      transition
+    });
+  } catch (error) {
+    console.error('Submit post for review error:', error);
+    res.status(500).json({
+      error: 'Failed to submit post for review',
+      code: 'SUBMIT_REVIEW_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/posts/:id/review
+ * Approve a post, reject it, or send it back for changes
+ */
+router.post('/:id/review', authenticateToken, requireRole(['ADMIN', 'EDITOR']), [
+  body('action').isIn(REVIEW_ACTIONS).withMessage(`Action must be one of: ${REVIEW_ACTIONS.join(', ')}`),
+  body('comment').optional().isLength({ max: 1000 }).withMessage('Comment must be under 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { action, comment } = req.body;
+
+    // Authors need to know what to fix
+    if (action !== 'approve' && !(comment && comment.trim())) {
+      return res.status(400).json({
+        error: 'Feedback is required when rejecting or requesting changes',
+        code: 'FEEDBACK_REQUIRED'
+      });
+    }
+
+    const existingPost = await prisma.post.findUnique({
+      where: { id }
+    });
+
+    if (!existingPost) {
+      return res.status(404).json({
+        error: 'Post not found',
+        code: 'POST_NOT_FOUND'
+      });
+    }
+
+    if (existingPost.status !== 'PENDING_REVIEW') {
+      return res.status(400).json({
+        error: 'Post is not waiting for review',
+        code: 'NOT_PENDING_REVIEW'
+      });
+    }
+
+    let data = { status: 'DRAFT', publishedAt: null };
+
+    if (action === 'approve') {
+      // Keep the author's publish date if it is still ahead
+      const now = new Date();
+      data = existingPost.scheduledAt && existingPost.scheduledAt > now
+        ? { status: 'SCHEDULED', publishedAt: existingPost.scheduledAt }
+        : { status: 'PUBLISHED', publishedAt: now };
+    }
+
+    const [post, transition] = await prisma.$transaction([
+      prisma.post.update({
+        where: { id },
+        data: {
+          ...VERSION_BUMP,
+          ...data,
+          reviewAction: action,
+          reviewedAt: new Date()
+        }
+      }),
+      prisma.postTransition.create({
+        data: {
+          postId: id,
+          fromStatus: 'PENDING_REVIEW',
+          toStatus: data.status,
+          action,
+          comment,
+          actorId: req.user.id
+        }
+      })
+    ]);
+
+    clearRelatedPostsCache();
+
+    const messages = {
+      approve: 'Post approved',
+      reject: 'Post rejected',
+      'request-changes': 'Changes requested'
+    };
+
+    res.json({
+      message: messages[action],
+      post,
+      transition
+    });
+  } catch (error) {
+    console.error('Review post error:', error);
+    res.status(500).json({
+      error: 'Failed to review post',
+      code: 'REVIEW_POST_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/posts/:id/transitions
+ * Status history of a post with reviewer comments
+ */
+router.get('/:id/transitions', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const post = await prisma.post.findUnique({
+      where: { id },
+      select: { id: true, authorId: true }
+    });
+
+    if (!post) {
+      return res.status(404).json({
+        error: 'Post not found',
+        code: 'POST_NOT_FOUND'
+      });
+    }
+
+    // Reviewers can see the history of any post, authors only their own
+    if (req.user.role === 'AUTHOR' && post.authorId !== req.user.id) {
+      return res.status(403).json({
+        error: 'You can only view your own posts',
+        code: 'INSUFFICIENT_PERMISSIONS'
+      });
+    }
+
+    const transitions = await prisma.postTransition.findMany({
+      where: { postId: id },
+      include: {
+        actor: {
+          select: {
+            id: true,
+            username: true,
+            firstName: true,
+            lastName: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({ transitions });
+  } catch (error) {
+    console.error('Get post transitions error:', error);
+    res.status(500).json({
+      error: 'Failed to get post history',
+      code: 'GET_TRANSITIONS_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/posts/:id
+ * Move post to the trash, or delete it permanently if it is already trashed
+ */
+router.delete('/:id', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check if post exists and user has permission
+    const existingPost = await prisma.post.findUnique({
+      where: { id },
+      include: { author: true }
+    });
+
+    if (!existingPost) {
+      return res.status(404).json({
+        error: 'Post not found',
+        code: 'POST_NOT_FOUND'
+      });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'ADMIN' && existingPost.authorId !== req.user.id) {
+      return res.status(403).json({
+        error: 'You can only delete your own posts',
+        code: 'INSUFFICIENT_PERMISSIONS'
+      });
+    }
+
+    if (existingPost.status === 'TRASH') {
+      // Delete post (cascade will handle related records)
+      await prisma.post.delete({
+        where: { id }
+      });
+      await removeFromSearchIndex(id);
+      clearRelatedPostsCache();
+
+      return res.json({
+        message: 'Post deleted permanently'
+      });
+    }
+
+    await prisma.$transaction([
+      prisma.post.update({
+        where: { id },
+        data: {
+          ...VERSION_BUMP,
+          status: 'TRASH',
+          trashedFrom: existingPost.status,
+          trashedAt: new Date()
+        }
+      }),
+      prisma.postTransition.create({
+        data: {
+          postId: id,
+          fromStatus: existingPost.status,
+          toStatus: 'TRASH',
+          actorId: req.user.id
+        }
+      })
+    ]);
+
+    clearRelatedPostsCache();
+
+    res.json({
+      message: 'Post moved to trash'
+    });
+  } catch (error) {
+    console.error('Delete post error:', error);
+    res.status(500).json({
+      error: 'Failed to delete post',
+      code: 'DELETE_POST_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/posts/:id/restore
+ * Restore a trashed post to the status it had before
+ */
+router.post('/:id/restore', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingPost = await prisma.post.findUnique({
+      where: { id }
+    });
+
+    if (!existingPost) {
+      return res.status(404).json({
+        error: 'Post not found',
+        code: 'POST_NOT_FOUND'
+      });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'ADMIN' && existingPost.authorId !== req.user.id) {
+      return res.status(403).json({
+        error: 'You can only restore your own posts',
+        code: 'INSUFFICIENT_PERMISSIONS'
+      });
+    }
+
+    if (existingPost.status !== 'TRASH') {
+      return res.status(400).json({
+        error: 'Post is not in the trash',
+        code: 'POST_NOT_TRASHED'
+      });
+    }
+
+    const status = existingPost.trashedFrom || 'DRAFT';
+
+    const [post] = await prisma.$transaction([
+      prisma.post.update({
+        where: { id },
+        data: {
+          ...VERSION_BUMP,
+          status,
+          trashedFrom: null,
+          trashedAt: null
+        }
+      }),
+      prisma.postTransition.create({
+        data: {
+          postId: id,
+          fromStatus: 'TRASH',
+          toStatus: status,
+          actorId: req.user.id
+        }
+      })
+    ]);
+
+    clearRelatedPostsCache();
+
+    res.json({
+      message: 'Post restored successfully',
+      post
+    });
+  } catch (error) {
+    console.error('Restore post error:', error);
+    res.status(500).json({
+      error: 'Failed to restore post',
+      code: 'RESTORE_POST_ERROR'
+    });
+  }
+});
+
+const BULK_ACTIONS = ['status', 'category', 'add-tags', 'remove-tags', 'author', 'trash'];
+
+/**
+ * POST /api/posts/bulk-action
+ * Perform bulk actions on posts in a single transaction
+ */
+router.post('/bulk-action', authenticateToken, requireRole(['ADMIN', 'EDITOR']), [
+  body('action').isIn(BULK_ACTIONS).withMessage('Invalid action'),
+  body('postIds').isArray({ min: 1 }).withMessage('Post IDs must be a non-empty array'),
+  body('status').optional().isIn(['DRAFT', 'PENDING_REVIEW', 'PUBLISHED', 'SCHEDULED', 'PRIVATE']).withMessage('Invalid status'),
+  body('scheduledAt').optional().isISO8601().withMessage('Scheduled date must be a valid date'),
+  body('categoryId').optional({ nullable: true }).isString().withMessage('Category ID must be a string'),
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
+  body('authorId').optional().isString().withMessage('Author ID must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { action, status, scheduledAt, categoryId, tags = [], authorId } = req.body;
+    const postIds = [...new Set(req.body.postIds)];
+
+    // Validate the parameters each action needs before touching any post
+    if (action === 'status' && !status) {
+      return res.status(400).json({
+        error: 'Status is required',
+        code: 'STATUS_REQUIRED'
+      });
+    }
+
+    if (action === 'category') {
+      if (categoryId === undefined) {
+        return res.status(400).json({
+          error: 'Category ID is required (null removes the category)',
+          code: 'CATEGORY_REQUIRED'
+        });
+      }
+
+      if (categoryId) {
+        const category = await prisma.category.findUnique({ where: { id: categoryId } });
+        if (!category) {
+          return res.status(400).json({
+            error: 'Category not found',
+            code: 'CATEGORY_NOT_FOUND'
+          });
+        }
+      }
+    }
+
+    if ((action === 'add-tags' || action === 'remove-tags') && tags.length === 0) {
+      return res.status(400).json({
+        error: 'At least one tag is required',
+        code: 'TAGS_REQUIRED'
+      });
+    }
+
+    // Content is sanitized with its owner's policy, so a new owner
+    // means sanitizing again
+    let authorPolicy = null;
+    if (action === 'author') {
+      const author = authorId && await prisma.user.findUnique({ where: { id: authorId } });
+      if (!author || !author.isActive) {
+        return res.status(400).json({
+          error: 'Author not found',
+          code: 'AUTHOR_NOT_FOUND'
+        });
+      }
+      authorPolicy = await getSanitizerPolicy(author.role);
+    }
+
+    const results = await prisma.$transaction(async (tx) => {
+      // Pages are managed through /api/pages and count as not found here
+      const posts = await tx.post.findMany({
+        where: { id: { in: postIds }, type: 'POST' },
+        include: {
+          tags: {
+            include: {
+              tag: true
+            }
+          },
+          bylines: {
+            orderBy: { position: 'asc' }
+          }
+        }
+      });
+      const postsById = new Map(posts.map(post => [post.id, post]));
+
+      // Resolve tags once for the whole batch
+      let tagRecords = [];
+      if (action === 'add-tags') {
+        for (const tagName of tags) {
+          tagRecords.push(await findOrCreateTag(tagName, tx));
+        }
+      } else if (action === 'remove-tags') {
+        tagRecords = await tx.tag.findMany({
+          where: { slug: { in: tags.map(tagName => slugify(tagName, { lower: true, strict: true })) } }
+        });
+      }
+
+      const itemResults = [];
+
+      for (const id of postIds) {
+        const post = postsById.get(id);
+
+        if (!post) {
+          itemResults.push({ id, success: false, error: 'Post not found', code: 'POST_NOT_FOUND' });
+          continue;
+        }
+
+        switch (action) {
+          case 'status': {
+            const nextScheduledAt = scheduledAt ? new Date(scheduledAt) : post.scheduledAt;
+
+            if (status === 'SCHEDULED' && !nextScheduledAt) {
+              itemResults.push({ id, success: false, error: 'Scheduled date is required', code: 'SCHEDULED_AT_REQUIRED' });
+              continue;
+            }
+
+            let publishedAt = post.publishedAt;
+            if (status === 'PUBLISHED' && post.status !== 'PUBLISHED') {
+              publishedAt = new Date();
+            } else if (status === 'SCHEDULED') {
+              publishedAt = nextScheduledAt;
+            } else if (status !== 'PUBLISHED') {
+              publishedAt = null;
+            }
+
+            await tx.post.update({
+              where: { id },
+              data: {
+                ...VERSION_BUMP,
+                status,
+                publishedAt,
+                scheduledAt: status === 'SCHEDULED' ? nextScheduledAt : post.scheduledAt,
+                trashedFrom: null,
+                trashedAt: null
+              }
+            });
+
+            if (post.status !== status) {
+              await tx.postTransition.create({
+                data: {
+                  postId: id,
+                  fromStatus: post.status,
+                  toStatus: status,
+                  actorId: req.user.id,
+                  comment: 'Bulk status change'
+                }
+              });
+            }
+            break;
+          }
+
+          case 'category':
+            await savePostRevision(post, req.user.id, tx);
+            await tx.post.update({
+              where: { id },
+              data: { ...VERSION_BUMP, categoryId: categoryId || null }
+            });
+            break;
+
+          case 'add-tags': {
+            const existingTagIds = new Set(post.tags.map(pt => pt.tagId));
+            const newTags = tagRecords.filter(tag => !existingTagIds.has(tag.id));
+
+            if (newTags.length > 0) {
+              await savePostRevision(post, req.user.id, tx);
+              await tx.postTag.createMany({
+                data: [...new Set(newTags.map(tag => tag.id))].map(tagId => ({ postId: id, tagId }))
+              });
+              await tx.post.update({ where: { id }, data: VERSION_BUMP });
+            }
+            break;
+          }
+
+          case 'remove-tags': {
+            const removeIds = tagRecords.map(tag => tag.id);
+
+            if (post.tags.some(pt => removeIds.includes(pt.tagId))) {
+              await savePostRevision(post, req.user.id, tx);
+              await tx.postTag.deleteMany({
+                where: { postId: id, tagId: { in: removeIds } }
+              });
+              await tx.post.update({ where: { id }, data: VERSION_BUMP });
+            }
+            break;
+          }
+
+          case 'author': {
+            if (post.authorId === authorId) break;
+
+            await savePostRevision(post, req.user.id, tx);
+            await tx.post.update({
+              where: { id },
+              data: {
+                ...VERSION_BUMP,
+                authorId,
+                ...prepareContent(
+                  post.contentSource !== null ? post.contentSource : post.content,
+                  post.contentFormat,
+                  authorPolicy
+                )
+              }
+            });
+
+            // The new owner takes the old owner's place on the byline;
+            // posts without bylines are credited to their owner anyway
+            if (post.bylines.length > 0) {
+              await syncPostBylines(id, post.bylines.map(byline => (
+                byline.userId === post.authorId
+                  ? { userId: authorId }
+                  : { userId: byline.userId, guestAuthorId: byline.guestAuthorId }
+              )), tx);
+            }
+            break;
+          }
+
+          case 'trash':
+            if (post.status === 'TRASH') {
+              itemResults.push({ id, success: false, error: 'Post is already in the trash', code: 'POST_ALREADY_TRASHED' });
+              continue;
+            }
+
+            await tx.post.update({
+              where: { id },
+              data: {
+                ...VERSION_BUMP,
+                status: 'TRASH',
+                trashedFrom: post.status,
+                trashedAt: new Date()
+              }
+            });
+            await tx.postTransition.create({
+              data: {
+                postId: id,
+                fromStatus: post.status,
+                toStatus: 'TRASH',
+                actorId: req.user.id,
+                comment: 'Bulk trash'
+              }
+            });
+            break;
+        }
+
+        itemResults.push({ id, success: true });
+      }
+
+      return itemResults;
+    }, { timeout: 30000 });
+
+    const affectedCount = results.filter(result => result.success).length;
+
+    // Tag changes alter the indexed text
+    if (action === 'add-tags' || action === 'remove-tags') {
+      await syncSearchIndex(results.filter(result => result.success).map(result => result.id));
+    }
+
+    if (affectedCount > 0) {
+      clearRelatedPostsCache();
+    }
+
+    res.json({
+      message: `Bulk ${action} completed successfully`,
+      affectedCount,
+      failedCount: results.length - affectedCount,
+      results
+    });
+  } catch (error) {
+    console.error('Bulk post action error:', error);
+    res.status(500).json({
+      error: 'Failed to perform bulk action',
+      code: 'BULK_ACTION_ERROR'
     });
   }
 });
@@ -655,14 +3263,20 @@ router.get('/stats/overview', authenticateToken, requireRole(['ADMIN', 'EDITOR']
       totalPosts,
       publishedPosts,
       draftPosts,
+      pendingReviewPosts,
       scheduledPosts,
+      trashedPosts,
+      totalPages,
       totalViews,
       totalComments
     ] = await Promise.all([
-      prisma.post.count(),
-      prisma.post.count({ where: { status: 'PUBLISHED' } }),
-      prisma.post.count({ where: { status: 'DRAFT' } }),
-      prisma.post.count({ where: { status: 'SCHEDULED' } }),
+      prisma.post.count({ where: { type: 'POST', status: { not: 'TRASH' } } }),
+      prisma.post.count({ where: { type: 'POST', status: 'PUBLISHED' } }),
+      prisma.post.count({ where: { type: 'POST', status: 'DRAFT' } }),
+      prisma.post.count({ where: { type: 'POST', status: 'PENDING_REVIEW' } }),
+      prisma.post.count({ where: { type: 'POST', status: 'SCHEDULED' } }),
+      prisma.post.count({ where: { status: 'TRASH' } }),
+      prisma.post.count({ where: { type: 'PAGE', status: { not: 'TRASH' } } }),
       prisma.post.aggregate({ _sum: { viewCount: true } }),
       prisma.comment.count({ where: { status: 'APPROVED' } })
     ]);
@@ -671,7 +3285,10 @@ router.get('/stats/overview', authenticateToken, requireRole(['ADMIN', 'EDITOR']
       totalPosts,
       publishedPosts,
       draftPosts,
+      pendingReviewPosts,
       scheduledPosts,
+      trashedPosts,
+      totalPages,
       totalViews: totalViews._sum.viewCount || 0,
       totalComments
     });
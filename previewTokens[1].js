@@ -0,0 +1,88 @@
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const DEFAULT_PREVIEW_HOURS = parseInt(process.env.PREVIEW_TOKEN_HOURS) || 72;
+const MAX_PREVIEW_HOURS = 24 * 30;
+
+/**
+ * Preview tokens use their own secret so they can never pass as login tokens
+ */
+const previewSecret = () => `${process.env.JWT_SECRET}:preview`;
+
+/**
+ * Issue a signed preview token for a post
+ */
+const createPreviewToken = async (postId, userId, hours = DEFAULT_PREVIEW_HOURS) => {
+  const lifetimeHours = Math.min(Math.max(hours, 1), MAX_PREVIEW_HOURS);
+  const expiresAt = new Date(Date.now() + lifetimeHours * 60 * 60 * 1000);
+
+  const previewToken = await prisma.previewToken.create({
+    data: {
+      postId,
+      createdById: userId,
+      expiresAt
+    }
+  });
+
+  const token = jwt.sign(
+    { tokenId: previewToken.id, postId },
+    previewSecret(),
+    { expiresIn: lifetimeHours * 60 * 60 }
+  );
+
+  return { token, previewToken };
+};
+
+/**
+ * Check a preview token against a post. Returns the token record,
+ * or null if the token is invalid, expired, revoked or for another post.
+ */
+const verifyPreviewToken = async (token, postId) => {
+  if (!token) return null;
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, previewSecret());
+  } catch (error) {
+    return null;
+  }
+
+  if (decoded.postId !== postId) return null;
+
+  const previewToken = await prisma.previewToken.findUnique({
+    where: { id: decoded.tokenId }
+  });
+
+  if (
+    !previewToken ||
+    previewToken.postId !== postId ||
+    previewToken.revokedAt ||
+    previewToken.expiresAt < new Date()
+  ) {
+    return null;
+  }
+
+  await prisma.previewToken.update({
+    where: { id: previewToken.id },
+    data: { lastUsedAt: new Date() }
+  });
+
+  return previewToken;
+};
+
+/**
+ * Read a preview token from the query string or X-Preview-Token header
+ */
+const getPreviewTokenFromRequest = (req) => {
+  return req.query.preview || req.headers['x-preview-token'] || null;
+};
+
+module.exports = {
+  DEFAULT_PREVIEW_HOURS,
+  MAX_PREVIEW_HOURS,
+  createPreviewToken,
+  verifyPreviewToken,
+  getPreviewTokenFromRequest
+};
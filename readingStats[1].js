@@ -0,0 +1,94 @@
+const slugify = require('slugify');
+const { stripHtml, decodeEntities } = require('./text');
+
+// Average adult reading speed for online articles
+const WORDS_PER_MINUTE = 200;
+
+const HEADING_PATTERN = /<h([1-6])(\s[^>]*)?>([\s\S]*?)<\/h\1>/gi;
+
+/**
+ * Words in an HTML string
+ */
+const countWords = (html) => {
+  const text = stripHtml(html);
+  return text ? text.split(' ').length : 0;
+};
+
+/**
+ * Whole minutes to read a number of words, at least one for any text
+ */
+const getReadingTime = (wordCount) => {
+  return wordCount > 0 ? Math.ceil(wordCount / WORDS_PER_MINUTE) : 0;
+};
+
+/**
+ * Give every heading an id and list the headings in order. Headings
+ * that already have an id keep it; the rest get one from their text,
+ * numbered when it repeats.
+ */
+const addHeadingAnchors = (html = '') => {
+  const tableOfContents = [];
+  const usedIds = new Set();
+
+  // Ids already in the content must not be handed out again
+  (html.match(/\sid="([^"]+)"/gi) || []).forEach(attr => usedIds.add(attr.slice(5, -1)));
+
+  const content = html.replace(HEADING_PATTERN, (match, level, attrs = '', inner) => {
+    const text = stripHtml(inner);
+    if (!text) return match;
+
+    const existingId = attrs.match(/\sid="([^"]+)"/i);
+    let id = existingId ? existingId[1] : null;
+
+    if (!id) {
+      const baseId = slugify(decodeEntities(text), { lower: true, strict: true }) || 'section';
+      id = baseId;
+      for (let counter = 2; usedIds.has(id); counter++) {
+        id = `${baseId}-${counter}`;
+      }
+      usedIds.add(id);
+    }
+
+    tableOfContents.push({ id, text, level: parseInt(level) });
+
+    return existingId ? match : `<h${level} id="${id}"${attrs}>${inner}</h${level}>`;
+  });
+
+  return { content, tableOfContents };
+};
+
+/**
+ * Stored reading fields for sanitized post HTML: the content with
+ * heading anchors, its word count, reading time and table of contents
+ */
+const computeReadingStats = (html) => {
+  const { content, tableOfContents } = addHeadingAnchors(html);
+  const wordCount = countWords(content);
+
+  return {
+    content,
+    wordCount,
+    readingTime: getReadingTime(wordCount),
+    tableOfContents: JSON.stringify(tableOfContents)
+  };
+};
+
+/**
+ * Parse a stored table of contents for API responses
+ */
+const parseTableOfContents = (value) => {
+  try {
+    return JSON.parse(value || '[]');
+  } catch {
+    return [];
+  }
+};
+
+module.exports = {
+  WORDS_PER_MINUTE,
+  countWords,
+  getReadingTime,
+  addHeadingAnchors,
+  computeReadingStats,
+  parseTableOfContents
+};
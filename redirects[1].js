@@ -0,0 +1,108 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { findRedirectedPost } = require('../utils/postHelpers');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+/**
+ * GET /api/redirects
+ * List retired slugs and the posts they lead to
+ */
+router.get('/', authenticateToken, requireRole(['ADMIN', 'EDITOR']), async (req, res) => {
+  try {
+    const { postId } = req.query;
+
+    const redirects = await prisma.slugRedirect.findMany({
+      where: postId ? { postId } : {},
+      include: {
+        post: {
+          select: {
+            id: true,
+            title: true,
+            slug: true,
+            type: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      redirects,
+      total: redirects.length
+    });
+  } catch (error) {
+    console.error('Get redirects error:', error);
+    res.status(500).json({
+      error: 'Failed to get redirects',
+      code: 'GET_REDIRECTS_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/redirects/:slug
+ * Permanently redirect a retired post slug to the post's current URL
+ */
+router.get('/:slug', async (req, res) => {
+  try {
+    const post = await findRedirectedPost(req.params.slug);
+
+    if (!post || post.type !== 'POST' || post.status !== 'PUBLISHED' || post.publishedAt > new Date()) {
+      return res.status(404).json({
+        error: 'Redirect not found',
+        code: 'REDIRECT_NOT_FOUND'
+      });
+    }
+
+    const siteUrl = process.env.SITE_URL || 'http://localhost:3000';
+
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.redirect(301, `${siteUrl}/blog/${post.slug}`);
+  } catch (error) {
+    console.error('Follow redirect error:', error);
+    res.status(500).json({
+      error: 'Failed to follow redirect',
+      code: 'FOLLOW_REDIRECT_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/redirects/:id
+ * Stop redirecting a retired slug, freeing it for other posts
+ */
+router.delete('/:id', authenticateToken, requireRole(['ADMIN', 'EDITOR']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const redirect = await prisma.slugRedirect.findUnique({
+      where: { id }
+    });
+
+    if (!redirect) {
+      return res.status(404).json({
+        error: 'Redirect not found',
+        code: 'REDIRECT_NOT_FOUND'
+      });
+    }
+
+    await prisma.slugRedirect.delete({
+      where: { id }
+    });
+
+    res.json({
+      message: 'Redirect deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete redirect error:', error);
+    res.status(500).json({
+      error: 'Failed to delete redirect',
+      code: 'DELETE_REDIRECT_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,274 @@
+const { PrismaClient } = require('@prisma/client');
+const { stripHtml } = require('./text');
+const { getPostLocale } = require('./translations');
+
+const prisma = new PrismaClient();
+
+// How long computed suggestions are reused before being recomputed
+const RELATED_CACHE_SECONDS = parseInt(process.env.RELATED_POSTS_CACHE_SECONDS) || 3600;
+
+// Only the most recent posts are considered, to bound memory and scoring time
+const MAX_CORPUS_POSTS = parseInt(process.env.RELATED_POSTS_MAX_CORPUS) || 2000;
+
+// Candidates kept per post; weights are applied to these at request time
+const MAX_CACHED_CANDIDATES = 50;
+
+const DEFAULT_WEIGHTS = { tags: 0.5, category: 0.2, content: 0.3 };
+
+const STOP_WORDS = new Set([
+  'about', 'after', 'again', 'also', 'and', 'any', 'are', 'because', 'been', 'before',
+  'being', 'between', 'both', 'but', 'can', 'could', 'did', 'does', 'doing', 'down',
+  'each', 'for', 'from', 'further', 'had', 'has', 'have', 'having', 'her', 'here',
+  'hers', 'him', 'his', 'how', 'into', 'its', 'just', 'more', 'most', 'not', 'now',
+  'off', 'once', 'only', 'other', 'our', 'out', 'over', 'own', 'same', 'she', 'should',
+  'some', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these',
+  'they', 'this', 'those', 'through', 'too', 'under', 'until', 'very', 'was', 'were',
+  'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with',
+  'would', 'you', 'your', 'yours'
+]);
+
+let corpus = null;
+const relatedCache = new Map();
+
+/**
+ * Lowercase words of three or more letters, without stop words
+ */
+const tokenize = (text) => {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+};
+
+/**
+ * Term counts for a post. The title counts twice since it says most
+ * about what the post is about.
+ */
+const termFrequencies = (post) => {
+  const words = tokenize([post.title, post.title, post.excerpt || '', stripHtml(post.content)].join(' '));
+  const counts = new Map();
+  words.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+  return { counts, length: words.length };
+};
+
+/**
+ * TF-IDF vector for a post, with its length for cosine similarity
+ */
+const buildVector = ({ counts, length }, idf) => {
+  const vector = new Map();
+  let sumOfSquares = 0;
+
+  counts.forEach((count, word) => {
+    const weight = (count / length) * (idf.get(word) || idf.default);
+    vector.set(word, weight);
+    sumOfSquares += weight * weight;
+  });
+
+  return { vector, norm: Math.sqrt(sumOfSquares) };
+};
+
+const cosineSimilarity = (a, b) => {
+  if (a.norm === 0 || b.norm === 0) return 0;
+
+  const [smaller, larger] = a.vector.size < b.vector.size ? [a.vector, b.vector] : [b.vector, a.vector];
+  let dot = 0;
+  smaller.forEach((weight, word) => {
+    const other = larger.get(word);
+    if (other) dot += weight * other;
+  });
+
+  return dot / (a.norm * b.norm);
+};
+
+const postSelect = {
+  id: true,
+  title: true,
+  slug: true,
+  excerpt: true,
+  content: true,
+  featuredImage: true,
+  publishedAt: true,
+  categoryId: true,
+  locale: true,
+  tags: {
+    select: { tagId: true }
+  }
+};
+
+/**
+ * Term vectors for every live public post, rebuilt when the cache expires
+ */
+const getCorpus = async () => {
+  if (corpus && corpus.expiresAt > Date.now()) {
+    return corpus;
+  }
+
+  const posts = await prisma.post.findMany({
+    where: {
+      type: 'POST',
+      status: 'PUBLISHED',
+      visibility: 'PUBLIC',
+      publishedAt: { lte: new Date() }
+    },
+    select: postSelect,
+    orderBy: { publishedAt: 'desc' },
+    take: MAX_CORPUS_POSTS
+  });
+
+  const frequencies = posts.map(termFrequencies);
+
+  // Inverse document frequency, smoothed so no term weighs zero
+  const documentCounts = new Map();
+  frequencies.forEach(({ counts }) => {
+    counts.forEach((count, word) => documentCounts.set(word, (documentCounts.get(word) || 0) + 1));
+  });
+
+  const idf = new Map();
+  documentCounts.forEach((count, word) => idf.set(word, Math.log((1 + posts.length) / (1 + count)) + 1));
+  idf.default = Math.log(1 + posts.length) + 1;
+
+  corpus = {
+    expiresAt: Date.now() + RELATED_CACHE_SECONDS * 1000,
+    idf,
+    documents: posts.map((post, index) => ({
+      id: post.id,
+      title: post.title,
+      slug: post.slug,
+      excerpt: post.excerpt,
+      featuredImage: post.featuredImage,
+      publishedAt: post.publishedAt,
+      categoryId: post.categoryId,
+      locale: getPostLocale(post),
+      tagIds: new Set(post.tags.map(pt => pt.tagId)),
+      ...buildVector(frequencies[index], idf)
+    }))
+  };
+
+  return corpus;
+};
+
+/**
+ * Score every other live post in the same locale against this one on
+ * each signal
+ */
+const scoreCandidates = async (post) => {
+  const { idf, documents } = await getCorpus();
+  const locale = getPostLocale(post);
+
+  const source = documents.find(doc => doc.id === post.id) || {
+    categoryId: post.categoryId,
+    tagIds: new Set(post.tags.map(pt => pt.tagId)),
+    ...buildVector(termFrequencies(post), idf)
+  };
+
+  return documents
+    .filter(doc => doc.id !== post.id && doc.locale === locale)
+    .map(doc => {
+      const shared = [...doc.tagIds].filter(tagId => source.tagIds.has(tagId)).length;
+      const union = new Set([...doc.tagIds, ...source.tagIds]).size;
+
+      return {
+        doc,
+        tags: union > 0 ? shared / union : 0,
+        category: source.categoryId && doc.categoryId === source.categoryId ? 1 : 0,
+        content: cosineSimilarity(source, doc)
+      };
+    });
+};
+
+/**
+ * Keep the best candidates on each signal, so the cached list still
+ * holds the strongest matches whichever weights are asked for
+ */
+const pickCandidates = (scored) => {
+  const keep = new Set();
+
+  ['tags', 'category', 'content'].forEach(signal => {
+    scored
+      .filter(candidate => candidate[signal] > 0)
+      .sort((a, b) => b[signal] - a[signal])
+      .slice(0, MAX_CACHED_CANDIDATES)
+      .forEach(candidate => keep.add(candidate));
+  });
+
+  return [...keep];
+};
+
+/**
+ * Fill in missing weights with the defaults and make them sum to 1
+ */
+const normalizeWeights = (weights = {}) => {
+  const merged = { ...DEFAULT_WEIGHTS };
+
+  Object.keys(DEFAULT_WEIGHTS).forEach(signal => {
+    const value = parseFloat(weights[signal]);
+    if (!Number.isNaN(value) && value >= 0) {
+      merged[signal] = value;
+    }
+  });
+
+  const total = merged.tags + merged.category + merged.content;
+  if (total === 0) {
+    return { ...DEFAULT_WEIGHTS };
+  }
+
+  return {
+    tags: merged.tags / total,
+    category: merged.category / total,
+    content: merged.content / total
+  };
+};
+
+/**
+ * Posts readers of this one are likely to want next, best first.
+ * The post needs id, title, excerpt, content, categoryId and tags.
+ */
+const getRelatedPosts = async (post, { limit = 4, weights } = {}) => {
+  let cached = relatedCache.get(post.id);
+
+  if (!cached || cached.expiresAt <= Date.now()) {
+    cached = {
+      expiresAt: Date.now() + RELATED_CACHE_SECONDS * 1000,
+      candidates: pickCandidates(await scoreCandidates(post))
+    };
+    relatedCache.set(post.id, cached);
+  }
+
+  const w = normalizeWeights(weights);
+
+  return cached.candidates
+    .map(candidate => ({
+      candidate,
+      score: w.tags * candidate.tags + w.category * candidate.category + w.content * candidate.content
+    }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || b.candidate.doc.publishedAt - a.candidate.doc.publishedAt)
+    .slice(0, limit)
+    .map(({ candidate, score }) => ({
+      id: candidate.doc.id,
+      title: candidate.doc.title,
+      slug: candidate.doc.slug,
+      excerpt: candidate.doc.excerpt,
+      featuredImage: candidate.doc.featuredImage,
+      publishedAt: candidate.doc.publishedAt,
+      score: Math.round(score * 1000) / 1000,
+      signals: {
+        tags: Math.round(candidate.tags * 1000) / 1000,
+        category: candidate.category,
+        content: Math.round(candidate.content * 1000) / 1000
+      }
+    }));
+};
+
+/**
+ * Drop cached suggestions after posts are published, edited or removed
+ */
+const clearRelatedPostsCache = () => {
+  corpus = null;
+  relatedCache.clear();
+};
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  normalizeWeights,
+  getRelatedPosts,
+  clearRelatedPostsCache
+};
@@ -0,0 +1,283 @@
+const { PrismaClient } = require('@prisma/client');
+const { getSanitizerPolicy, sanitizeComment } = require('./htmlSanitizer');
+const { prepareContent } = require('./markdown');
+const { addHeadingAnchors } = require('./readingStats');
+const { VERSION_BUMP } = require('./postLocks');
+const { diffWords } = require('./diff');
+const { decodeEntities, escapeHtml } = require('./text');
+const { syncSearchIndex } = require('./searchIndex');
+const { clearRelatedPostsCache } = require('./relatedPosts');
+
+const prisma = new PrismaClient();
+
+// Rows loaded per query, to keep memory flat on large sites
+const BATCH_SIZE = 200;
+
+// Site setting holding the state and report of the last background run
+const JOB_SETTING_KEY = 'resanitize_job';
+
+let jobRunning = false;
+
+// A tag attribute, with its value double-quoted, single-quoted or bare
+const ATTRIBUTE_PATTERN = /([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+/**
+ * Write HTML out one way: text and attribute values escaped alike, tag
+ * and attribute names lowercased and every value double-quoted. The
+ * sanitizer re-escapes and re-quotes what it keeps, so content it only
+ * rewrote that way normalizes to the same string.
+ */
+const normalizeMarkup = (html = '') => {
+  return html.replace(/<(\/?)([a-z][^\s\/>]*)([^>]*)>|[^<]+|</gi, (match, slash, name, rest) => {
+    if (name === undefined) return escapeHtml(decodeEntities(match));
+
+    const attributes = [...rest.matchAll(ATTRIBUTE_PATTERN)].map(([, attribute, ...values]) => {
+      const value = values.find(v => v !== undefined) || '';
+      return ` ${attribute.toLowerCase()}="${escapeHtml(decodeEntities(value))}"`;
+    });
+
+    return `<${slash}${name.toLowerCase()}${attributes.join('')}>`;
+  });
+};
+
+/**
+ * The tags, attributes and text the sanitizer took out of a piece of
+ * content. Escaping it added doesn't count.
+ */
+const removedMarkup = (before, after) => {
+  return diffWords(normalizeMarkup(before), normalizeMarkup(after))
+    .filter(change => change.type === 'delete')
+    .map(change => change.value.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Run every post and comment through the current sanitizer policies.
+ * Posts use the policy of their owner's role, and get their heading
+ * anchors and reading stats recomputed. With dryRun nothing is saved;
+ * the report lists what would change either way.
+ */
+const resanitizeContent = async ({ dryRun = false } = {}) => {
+  const report = {
+    dryRun,
+    posts: { checked: 0, changed: [] },
+    comments: { checked: 0, changed: [] }
+  };
+
+  let cursor = null;
+  for (;;) {
+    const posts = await prisma.post.findMany({
+      select: {
+        id: true,
+        title: true,
+        slug: true,
+        type: true,
+        content: true,
+        contentFormat: true,
+        contentSource: true,
+        wordCount: true,
+        readingTime: true,
+        tableOfContents: true,
+        author: {
+          select: { role: true }
+        }
+      },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor ? { skip: 1, cursor: { id: cursor } } : {})
+    });
+
+    if (posts.length === 0) break;
+    cursor = posts[posts.length - 1].id;
+
+    for (const post of posts) {
+      report.posts.checked++;
+
+      const policy = await getSanitizerPolicy(post.author.role);
+      const prepared = prepareContent(
+        post.contentSource !== null ? post.contentSource : post.content,
+        post.contentFormat,
+        policy
+      );
+
+      // Heading anchors and reading stats are refreshed quietly; only
+      // markup the sanitizer removed goes in the report
+      const anchored = addHeadingAnchors(post.content).content;
+      const contentChanged = normalizeMarkup(prepared.content) !== normalizeMarkup(post.content);
+      const stale = contentChanged ||
+        prepared.wordCount !== post.wordCount ||
+        prepared.readingTime !== post.readingTime ||
+        prepared.tableOfContents !== post.tableOfContents;
+
+      if (!stale) continue;
+
+      const removed = contentChanged ? removedMarkup(anchored, prepared.content) : [];
+      if (removed.length > 0) {
+        report.posts.changed.push({
+          id: post.id,
+          title: post.title,
+          slug: post.slug,
+          type: post.type,
+          removed
+        });
+      }
+
+      if (!dryRun) {
+        await prisma.post.update({
+          where: { id: post.id },
+          data: {
+            // Rewritten content is an edit; open editors must reload it
+            ...(contentChanged ? VERSION_BUMP : {}),
+            ...(contentChanged ? { content: prepared.content } : {}),
+            wordCount: prepared.wordCount,
+            readingTime: prepared.readingTime,
+            tableOfContents: prepared.tableOfContents
+          }
+        });
+        await syncSearchIndex(post.id);
+      }
+    }
+  }
+
+  cursor = null;
+  for (;;) {
+    const comments = await prisma.comment.findMany({
+      select: { id: true, postId: true, content: true },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor ? { skip: 1, cursor: { id: cursor } } : {})
+    });
+
+    if (comments.length === 0) break;
+    cursor = comments[comments.length - 1].id;
+
+    for (const comment of comments) {
+      report.comments.checked++;
+
+      // Plain-text comments come back with their &, < and quotes
+      // escaped; they read the same, so they're left as they are
+      const content = await sanitizeComment(comment.content);
+      if (normalizeMarkup(content) === normalizeMarkup(comment.content)) continue;
+
+      const removed = removedMarkup(comment.content, content);
+      if (removed.length > 0) {
+        report.comments.changed.push({
+          id: comment.id,
+          postId: comment.postId,
+          removed
+        });
+      }
+
+      if (!dryRun) {
+        await prisma.comment.update({
+          where: { id: comment.id },
+          data: { content }
+        });
+      }
+    }
+  }
+
+  if (!dryRun && report.posts.changed.length > 0) {
+    clearRelatedPostsCache();
+  }
+
+  return report;
+};
+
+/**
+ * Store the state of a background run
+ */
+const saveJob = (job) => {
+  return prisma.siteSettings.upsert({
+    where: { key: JOB_SETTING_KEY },
+    update: { value: JSON.stringify(job) },
+    create: {
+      key: JOB_SETTING_KEY,
+      value: JSON.stringify(job),
+      type: 'json',
+      description: 'Last re-sanitize run and its report'
+    }
+  });
+};
+
+/**
+ * The last background run, or null if the job has never been started
+ */
+const getResanitizeJob = async () => {
+  const setting = await prisma.siteSettings.findUnique({
+    where: { key: JOB_SETTING_KEY }
+  });
+
+  if (!setting) return null;
+
+  const job = JSON.parse(setting.value);
+
+  // A run cut short by a restart will never finish
+  if (job.status === 'IN_PROGRESS' && !jobRunning) {
+    return { ...job, status: 'FAILED', error: 'Interrupted by a server restart' };
+  }
+
+  return job;
+};
+
+/**
+ * Start the job without waiting for it. The report is stored when it
+ * finishes; returns null if a run is already in progress.
+ */
+const startResanitizeJob = async ({ dryRun = false } = {}) => {
+  if (jobRunning) return null;
+
+  jobRunning = true;
+
+  const job = {
+    status: 'IN_PROGRESS',
+    dryRun,
+    startedAt: new Date().toISOString(),
+    completedAt: null,
+    report: null,
+    error: null
+  };
+
+  try {
+    await saveJob(job);
+  } catch (error) {
+    jobRunning = false;
+    throw error;
+  }
+
+  resanitizeContent({ dryRun })
+    .then(report => saveJob({ ...job, status: 'COMPLETED', completedAt: new Date().toISOString(), report }))
+    .catch(error => {
+      console.error('Re-sanitize job error:', error);
+      return saveJob({ ...job, status: 'FAILED', completedAt: new Date().toISOString(), error: error.message });
+    })
+    .catch(error => console.error('Save re-sanitize job error:', error))
+    .finally(() => {
+      jobRunning = false;
+    });
+
+  return job;
+};
+
+// Run the job if called directly: node utils/resanitizeContent.js [--dry-run]
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  resanitizeContent({ dryRun })
+    .then(report => {
+      console.log(JSON.stringify(report, null, 2));
+      console.log(`${dryRun ? '🔍 Would change' : '✅ Changed'} ${report.posts.changed.length} of ${report.posts.checked} posts and ${report.comments.changed.length} of ${report.comments.checked} comments`);
+      return prisma.$disconnect();
+    })
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Error re-sanitizing content:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  resanitizeContent,
+  startResanitizeJob,
+  getResanitizeJob
+};
@@ -0,0 +1,205 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { CheckCircle, XCircle, MessageSquare, Clock, User } from 'lucide-react';
+import { postsAPI } from '@/lib/api';
+
+type ReviewAction = 'approve' | 'reject' | 'request-changes';
+
+const previousReviewLabels: Record<ReviewAction, string> = {
+  approve: 'Previously approved',
+  reject: 'Previously rejected',
+  'request-changes': 'Changes requested'
+};
+
+interface ReviewPost {
+  id: string;
+  title: string;
+  slug: string;
+  excerpt?: string;
+  submittedAt: string;
+  submissionNote?: string | null;
+  reviewAction?: ReviewAction | null;
+  reviewedAt?: string | null;
+  author: {
+    username: string;
+    firstName?: string;
+    lastName?: string;
+  };
+  category?: {
+    name: string;
+    color?: string;
+  } | null;
+}
+
+export function ReviewQueue() {
+  const [posts, setPosts] = useState<ReviewPost[]>([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [activeId, setActiveId] = useState<string | null>(null);
+  const [feedback, setFeedback] = useState<Record<string, string>>({});
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    fetchQueue();
+  }, []);
+
+  const fetchQueue = async () => {
+    try {
+      const response = await postsAPI.getReviewQueue({ limit: 10 });
+      setPosts(response.data.posts);
+      setTotal(response.data.pagination.total);
+    } catch (error) {
+      console.error('Error fetching review queue:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReview = async (post: ReviewPost, action: ReviewAction) => {
+    const comment = feedback[post.id]?.trim();
+
+    if (action !== 'approve' && !comment) {
+      setError('Add feedback for the author before rejecting or requesting changes.');
+      return;
+    }
+
+    setError(null);
+    setActiveId(post.id);
+
+    try {
+      await postsAPI.reviewPost(post.id, { action, comment });
+      setPosts(posts.filter((p) => p.id !== post.id));
+      setTotal(total - 1);
+    } catch (error) {
+      console.error('Error reviewing post:', error);
+      setError('Could not save the review. Please try again.');
+    } finally {
+      setActiveId(null);
+    }
+  };
+
+  const getAuthorName = (author: ReviewPost['author']) => {
+    return author.firstName && author.lastName
+      ? `${author.firstName} ${author.lastName}`
+      : author.username;
+  };
+
+  const formatWaiting = (dateString: string) => {
+    const hours = Math.floor((Date.now() - new Date(dateString).getTime()) / (60 * 60 * 1000));
+    if (hours < 1) return 'just now';
+    if (hours < 24) return `${hours}h ago`;
+    return `${Math.floor(hours / 24)}d ago`;
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between">
+          <span>Waiting for Review</span>
+          <Badge variant={total > 0 ? 'default' : 'secondary'}>{total}</Badge>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {error && (
+          <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+        )}
+
+        {loading ? (
+          <div className="space-y-3">
+            {[...Array(3)].map((_, i) => (
+              <div key={i} className="h-16 bg-gray-200 dark:bg-gray-700 rounded animate-pulse" />
+            ))}
+          </div>
+        ) : posts.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            No posts are waiting for review.
+          </p>
+        ) : (
+          posts.map((post) => (
+            <div
+              key={post.id}
+              className="border border-gray-200 dark:border-gray-700 rounded-lg p-4 space-y-3"
+            >
+              <div className="flex items-start justify-between gap-4">
+                <div>
+                  <Link
+                    href={`/admin/posts/${post.id}`}
+                    className="font-medium text-gray-900 dark:text-white hover:text-primary"
+                  >
+                    {post.title}
+                  </Link>
+                  <div className="flex items-center gap-3 mt-1 text-xs text-gray-500 dark:text-gray-400">
+                    <span className="flex items-center">
+                      <User className="h-3 w-3 mr-1" />
+                      {getAuthorName(post.author)}
+                    </span>
+                    <span className="flex items-center">
+                      <Clock className="h-3 w-3 mr-1" />
+                      {formatWaiting(post.submittedAt)}
+                    </span>
+                    {post.category && (
+                      <Badge variant="outline">{post.category.name}</Badge>
+                    )}
+                    {post.reviewAction && post.reviewedAt && (
+                      <Badge variant="secondary">
+                        {previousReviewLabels[post.reviewAction]} {formatWaiting(post.reviewedAt)}
+                      </Badge>
+                    )}
+                  </div>
+                </div>
+              </div>
+
+              {post.submissionNote && (
+                <p className="text-sm text-gray-600 dark:text-gray-300 italic">
+                  &ldquo;{post.submissionNote}&rdquo;
+                </p>
+              )}
+
+              <textarea
+                value={feedback[post.id] || ''}
+                onChange={(e) => setFeedback({ ...feedback, [post.id]: e.target.value })}
+                placeholder="Feedback for the author"
+                rows={2}
+                className="w-full rounded-md border border-input bg-background px-3 py-2 text-sm focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+              />
+
+              <div className="flex flex-wrap gap-2">
+                <Button
+                  size="sm"
+                  loading={activeId === post.id}
+                  onClick={() => handleReview(post, 'approve')}
+                >
+                  <CheckCircle className="h-4 w-4 mr-1" />
+                  Approve
+                </Button>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  disabled={activeId === post.id}
+                  onClick={() => handleReview(post, 'request-changes')}
+                >
+                  <MessageSquare className="h-4 w-4 mr-1" />
+                  Request Changes
+                </Button>
+                <Button
+                  size="sm"
+                  variant="destructive"
+                  disabled={activeId === post.id}
+                  onClick={() => handleReview(post, 'reject')}
+                >
+                  <XCircle className="h-4 w-4 mr-1" />
+                  Reject
+                </Button>
+              </div>
+            </div>
+          ))
+        )}
+      </CardContent>
+    </Card>
+  );
+}
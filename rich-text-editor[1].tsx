@@ -25,13 +25,16 @@ import {
   AlignCenter,
   AlignRight,
 } from 'lucide-react';
-import { useState } from 'react';
+import { useState, useEffect, useRef } from 'react';
+import { postsAPI } from '@/lib/api';
 
 interface RichTextEditorProps {
   content?: string;
   onChange?: (content: string) => void;
   placeholder?: string;
   className?: string;
+  postId?: string;
+  autosaveDelay?: number;
 }
 
 export function RichTextEditor({
@@ -39,9 +42,43 @@ export function RichTextEditor({
   onChange,
   placeholder = 'Start writing...',
   className = '',
+  postId,
+  autosaveDelay = 2000,
 }: RichTextEditorProps) {
   const [showLinkDialog, setShowLinkDialog] = useState(false);
   const [linkUrl, setLinkUrl] = useState('');
+  const [autosaveStatus, setAutosaveStatus] = useState<'idle' | 'saving' | 'saved' | 'error'>('idle');
+  const [lastSavedAt, setLastSavedAt] = useState<Date | null>(null);
+  const autosaveTimer = useRef<ReturnType<typeof setTimeout> | null>(null);
+
+  // Save the working copy once typing pauses; the live post is untouched
+  const scheduleAutosave = (html: string) => {
+    if (!postId) return;
+
+    if (autosaveTimer.current) {
+      clearTimeout(autosaveTimer.current);
+    }
+
+    autosaveTimer.current = setTimeout(async () => {
+      setAutosaveStatus('saving');
+      try {
+        const response = await postsAPI.autosave(postId, { content: html });
+        setLastSavedAt(new Date(response.data.autosave.savedAt));
+        setAutosaveStatus('saved');
+      } catch (error) {
+        console.error('Error autosaving post:', error);
+        setAutosaveStatus('error');
+      }
+    }, autosaveDelay);
+  };
+
+  useEffect(() => {
+    return () => {
+      if (autosaveTimer.current) {
+        clearTimeout(autosaveTimer.current);
+      }
+    };
+  }, []);
 
   const editor = useEditor({
     extensions: [
@@ -60,7 +97,9 @@ export function RichTextEditor({
     ],
     content,
     onUpdate: ({ editor }) => {
-      onChange?.(editor.getHTML());
+      const html = editor.getHTML();
+      onChange?.(html);
+      scheduleAutosave(html);
     },
     editorProps: {
       attributes: {
@@ -69,6 +108,13 @@ export function RichTextEditor({
     },
   });
 
+  // Pick up content replaced from outside, e.g. a recovered autosave
+  useEffect(() => {
+    if (editor && content !== editor.getHTML()) {
+      editor.commands.setContent(content, false);
+    }
+  }, [content, editor]);
+
   if (!editor) {
     return null;
   }
@@ -228,6 +274,15 @@ export function RichTextEditor({
             <Redo className="h-4 w-4" />
           </ToolbarButton>
         </div>
+
+        {/* Autosave status */}
+        {postId && autosaveStatus !== 'idle' && (
+          <span className="ml-auto self-center text-xs text-gray-500 dark:text-gray-400">
+            {autosaveStatus === 'saving' && 'Saving draft...'}
+            {autosaveStatus === 'saved' && lastSavedAt && `Draft saved at ${lastSavedAt.toLocaleTimeString()}`}
+            {autosaveStatus === 'error' && 'Autosave failed'}
+          </span>
+        )}
       </div>
 
       {/* Editor Content */}
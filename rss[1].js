@@ -1,14 +1,33 @@
 const express = require('express');
 const RSS = require('rss');
 const { PrismaClient } = require('@prisma/client');
+const { bylinesInclude, formatBylines } = require('../utils/bylines');
+const { parseTableOfContents } = require('../utils/readingStats');
+const { escapeHtml } = require('../utils/text');
+const { DEFAULT_LOCALE, isSiteLocale, localeFilter } = require('../utils/translations');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+/**
+ * Namespace for the word count and reading time elements in XML feeds
+ */
+const readingNamespace = (siteUrl) => `${siteUrl}/rss/reading`;
+
+/**
+ * The locale a feed is for, from ?locale=, or null when the site
+ * doesn't publish in it. Feeds default to the site's default locale.
+ */
+const getFeedLocale = (req) => {
+  const locale = req.query.locale || DEFAULT_LOCALE;
+  return isSiteLocale(locale) ? locale : null;
+};
+
 /**
  * Generate RSS feed
  */
 const generateRSSFeed = async (options = {}) => {
+  const locale = options.locale || DEFAULT_LOCALE;
   const siteUrl = process.env.SITE_URL || 'http://localhost:3000';
   const siteName = process.env.SITE_NAME || 'My Blog';
   const siteDescription = process.env.SITE_DESCRIPTION || 'A custom blog platform';
@@ -23,16 +42,23 @@ const generateRSSFeed = async (options = {}) => {
     managingEditor: 'admin@example.com',
     webMaster: 'admin@example.com',
     copyright: `© ${new Date().getFullYear()} ${siteName}`,
-    language: 'en',
+    language: locale,
     categories: ['Blog', 'Technology', 'Web Development'],
     pubDate: new Date(),
-    ttl: 60 // Time to live in minutes
+    ttl: 60, // Time to live in minutes
+    custom_namespaces: {
+      dc: 'http://purl.org/dc/elements/1.1/',
+      reading: readingNamespace(siteUrl)
+    }
   });
 
   // Build query options
   const queryOptions = {
     where: {
+      type: 'POST',
       status: 'PUBLISHED',
+      visibility: 'PUBLIC',
+      locale: localeFilter(locale),
       publishedAt: { lte: new Date() }
     },
     include: {
@@ -44,6 +70,7 @@ const generateRSSFeed = async (options = {}) => {
           email: true
         }
       },
+      bylines: bylinesInclude,
       category: {
         select: {
           name: true,
@@ -79,14 +106,20 @@ const generateRSSFeed = async (options = {}) => {
     };
   }
 
+  // Add series filter if specified
+  if (options.series) {
+    queryOptions.where.series = { slug: options.series };
+  }
+
   // Get posts
   const posts = await prisma.post.findMany(queryOptions);
 
   // Add posts to feed
   posts.forEach(post => {
-    const authorName = post.author.firstName && post.author.lastName
-      ? `${post.author.firstName} ${post.author.lastName}`
-      : post.author.username;
+    const authors = formatBylines(post);
+    const authorNames = authors.map(a => a.name).join(', ');
+    // Guest authors' addresses are private; only staff accounts are listed
+    const contactEmail = (authors.find(a => a.type === 'user' && a.email) || {}).email;
 
     const categories = [
       ...(post.category ? [post.category.name] : []),
@@ -103,7 +136,7 @@ const generateRSSFeed = async (options = {}) => {
       url: `${siteUrl}/blog/${post.slug}`,
       guid: post.id,
       categories: categories,
-      author: `${post.author.email} (${authorName})`,
+      author: contactEmail ? `${contactEmail} (${authorNames})` : authorNames,
       date: post.publishedAt,
       enclosure: post.featuredImage ? {
         url: post.featuredImage.startsWith('http') 
@@ -112,7 +145,10 @@ const generateRSSFeed = async (options = {}) => {
         type: 'image/jpeg'
       } : undefined,
       custom_elements: [
+        ...authors.map(a => ({ 'dc:creator': a.name })),
         { 'content:encoded': `<![CDATA[${post.content}]]>` },
+        { 'reading:wordCount': post.wordCount },
+        { 'reading:minutes': post.readingTime },
         ...(post.featuredImage ? [{
           'media:content': {
             _attr: {
@@ -137,8 +173,14 @@ const generateRSSFeed = async (options = {}) => {
 router.get('/', async (req, res) => {
   try {
     const { limit = 20 } = req.query;
+
+    const locale = getFeedLocale(req);
+    if (!locale) {
+      return res.status(404).send('<?xml version="1.0" encoding="UTF-8"?><error>Locale not found</error>');
+    }
     
     const rssXml = await generateRSSFeed({ 
+      locale,
       limit: parseInt(limit) 
     });
     
@@ -173,8 +215,14 @@ router.get('/category/:slug', async (req, res) => {
       return res.status(404).send('<?xml version="1.0" encoding="UTF-8"?><error>Category not found</error>');
     }
 
+    const locale = getFeedLocale(req);
+    if (!locale) {
+      return res.status(404).send('<?xml version="1.0" encoding="UTF-8"?><error>Locale not found</error>');
+    }
+
     const rssXml = await generateRSSFeed({ 
       category: slug,
+      locale,
       limit: parseInt(limit)
     });
     
@@ -209,8 +257,14 @@ router.get('/tag/:slug', async (req, res) => {
       return res.status(404).send('<?xml version="1.0" encoding="UTF-8"?><error>Tag not found</error>');
     }
 
+    const locale = getFeedLocale(req);
+    if (!locale) {
+      return res.status(404).send('<?xml version="1.0" encoding="UTF-8"?><error>Locale not found</error>');
+    }
+
     const rssXml = await generateRSSFeed({ 
       tag: slug,
+      locale,
       limit: parseInt(limit)
     });
     
@@ -226,6 +280,48 @@ router.get('/tag/:slug', async (req, res) => {
   }
 });
 
+/**
+ * GET /rss/series/:slug
+ * Series-specific RSS feed
+ */
+router.get('/series/:slug', async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const { limit = 20 } = req.query;
+
+    // Check if series exists
+    const series = await prisma.series.findUnique({
+      where: { slug },
+      select: { title: true, slug: true }
+    });
+
+    if (!series) {
+      return res.status(404).send('<?xml version="1.0" encoding="UTF-8"?><error>Series not found</error>');
+    }
+
+    const locale = getFeedLocale(req);
+    if (!locale) {
+      return res.status(404).send('<?xml version="1.0" encoding="UTF-8"?><error>Locale not found</error>');
+    }
+
+    const rssXml = await generateRSSFeed({ 
+      series: slug,
+      locale,
+      limit: parseInt(limit)
+    });
+    
+    res.set({
+      'Content-Type': 'application/rss+xml; charset=utf-8',
+      'Cache-Control': 'public, max-age=3600'
+    });
+    
+    res.send(rssXml);
+  } catch (error) {
+    console.error('Series RSS feed generation error:', error);
+    res.status(500).send('<?xml version="1.0" encoding="UTF-8"?><error>Failed to generate series RSS feed</error>');
+  }
+});
+
 /**
  * GET /rss/feed.json
  * JSON Feed format (alternative to RSS)
@@ -237,10 +333,18 @@ router.get('/feed.json', async (req, res) => {
     const siteDescription = process.env.SITE_DESCRIPTION || 'A custom blog platform';
     const { limit = 20 } = req.query;
 
+    const locale = getFeedLocale(req);
+    if (!locale) {
+      return res.status(404).json({ error: 'Locale not found' });
+    }
+
     // Get posts
     const posts = await prisma.post.findMany({
       where: {
+        type: 'POST',
         status: 'PUBLISHED',
+        visibility: 'PUBLIC',
+        locale: localeFilter(locale),
         publishedAt: { lte: new Date() }
       },
       include: {
@@ -252,6 +356,7 @@ router.get('/feed.json', async (req, res) => {
             avatar: true
           }
         },
+        bylines: bylinesInclude,
         category: {
           select: {
             name: true,
@@ -282,11 +387,17 @@ router.get('/feed.json', async (req, res) => {
       feed_url: `${siteUrl}/rss/feed.json`,
       icon: `${siteUrl}/icon.png`,
       favicon: `${siteUrl}/favicon.ico`,
-      language: 'en',
+      language: locale,
       items: posts.map(post => {
-        const authorName = post.author.firstName && post.author.lastName
-          ? `${post.author.firstName} ${post.author.lastName}`
-          : post.author.username;
+        const authors = formatBylines(post).map(a => ({
+          name: a.name,
+          url: a.url || undefined,
+          avatar: a.avatar ? (
+            a.avatar.startsWith('http')
+              ? a.avatar
+              : `${siteUrl}${a.avatar}`
+          ) : undefined
+        }));
 
         const tags = [
           ...(post.category ? [post.category.name] : []),
@@ -306,15 +417,18 @@ router.get('/feed.json', async (req, res) => {
           ) : undefined,
           date_published: post.publishedAt.toISOString(),
           date_modified: post.updatedAt.toISOString(),
-          author: {
-            name: authorName,
-            avatar: post.author.avatar ? (
-              post.author.avatar.startsWith('http')
-                ? post.author.avatar
-                : `${siteUrl}${post.author.avatar}`
-            ) : undefined
-          },
-          tags: tags
+          authors: authors,
+          // JSON Feed 1.0 readers only know a single author
+          author: authors[0],
+          tags: tags,
+          _reading: {
+            word_count: post.wordCount,
+            minutes: post.readingTime,
+            table_of_contents: parseTableOfContents(post.tableOfContents).map(heading => ({
+              ...heading,
+              url: `${siteUrl}/blog/${post.slug}#${heading.id}`
+            }))
+          }
         };
       })
     };
@@ -342,10 +456,18 @@ router.get('/atom', async (req, res) => {
     const siteDescription = process.env.SITE_DESCRIPTION || 'A custom blog platform';
     const { limit = 20 } = req.query;
 
+    const locale = getFeedLocale(req);
+    if (!locale) {
+      return res.status(404).send('<?xml version="1.0" encoding="UTF-8"?><error>Locale not found</error>');
+    }
+
     // Get posts
     const posts = await prisma.post.findMany({
       where: {
+        type: 'POST',
         status: 'PUBLISHED',
+        visibility: 'PUBLIC',
+        locale: localeFilter(locale),
         publishedAt: { lte: new Date() }
       },
       include: {
@@ -356,7 +478,8 @@ router.get('/atom', async (req, res) => {
             lastName: true,
             email: true
           }
-        }
+        },
+        bylines: bylinesInclude
       },
       orderBy: { publishedAt: 'desc' },
       take: parseInt(limit)
@@ -364,7 +487,7 @@ router.get('/atom', async (req, res) => {
 
     // Generate Atom XML
     let atomXml = `<?xml version="1.0" encoding="utf-8"?>
-<feed xmlns="http://www.w3.org/2005/Atom">
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${locale}" xmlns:reading="${readingNamespace(siteUrl)}">
   <title>${siteName}</title>
   <subtitle>${siteDescription}</subtitle>
   <link href="${siteUrl}/rss/atom" rel="self"/>
@@ -373,9 +496,12 @@ router.get('/atom', async (req, res) => {
   <updated>${new Date().toISOString()}</updated>`;
 
     posts.forEach(post => {
-      const authorName = post.author.firstName && post.author.lastName
-        ? `${post.author.firstName} ${post.author.lastName}`
-        : post.author.username;
+      const authorsXml = formatBylines(post).map(a => `
+    <author>
+      <name>${escapeHtml(a.name)}</name>${a.type === 'user' && a.email ? `
+      <email>${escapeHtml(a.email)}</email>` : ''}${a.url ? `
+      <uri>${escapeHtml(a.url)}</uri>` : ''}
+    </author>`).join('');
 
       atomXml += `
   <entry>
@@ -383,13 +509,11 @@ router.get('/atom', async (req, res) => {
     <link href="${siteUrl}/blog/${post.slug}"/>
     <id>${siteUrl}/blog/${post.slug}</id>
     <updated>${post.updatedAt.toISOString()}</updated>
-    <published>${post.publishedAt.toISOString()}</published>
-    <author>
-      <name>${authorName}</name>
-      <email>${post.author.email}</email>
-    </author>
+    <published>${post.publishedAt.toISOString()}</published>${authorsXml}
     <summary>${post.excerpt || post.content.replace(/<[^>]*>/g, '').substring(0, 300) + '...'}</summary>
     <content type="html"><![CDATA[${post.content}]]></content>
+    <reading:wordCount>${post.wordCount}</reading:wordCount>
+    <reading:minutes>${post.readingTime}</reading:minutes>
   </entry>`;
     });
 
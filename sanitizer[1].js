@@ -0,0 +1,162 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  POLICY_NAMES,
+  DEFAULT_POLICIES,
+  getSanitizerPolicies,
+  validateSanitizerPolicy,
+  saveSanitizerPolicy
+} = require('../utils/htmlSanitizer');
+const { startResanitizeJob, getResanitizeJob } = require('../utils/resanitizeContent');
+
+const router = express.Router();
+
+/**
+ * GET /api/sanitizer/policies
+ * Get the HTML allowlist for each role and for comments
+ */
+router.get('/policies', authenticateToken, requireRole(['ADMIN']), async (req, res) => {
+  try {
+    const policies = await getSanitizerPolicies();
+
+    res.json({ policies });
+  } catch (error) {
+    console.error('Get sanitizer policies error:', error);
+    res.status(500).json({
+      error: 'Failed to get sanitizer policies',
+      code: 'GET_SANITIZER_POLICIES_ERROR'
+    });
+  }
+});
+
+/**
+ * PUT /api/sanitizer/policies/:name
+ * Replace parts of a policy. Content already saved is untouched until
+ * the re-sanitize job runs.
+ */
+router.put('/policies/:name', authenticateToken, requireRole(['ADMIN']), async (req, res) => {
+  try {
+    const name = req.params.name.toUpperCase();
+
+    if (!POLICY_NAMES.includes(name)) {
+      return res.status(404).json({
+        error: `Policy must be one of ${POLICY_NAMES.join(', ')}`,
+        code: 'POLICY_NOT_FOUND'
+      });
+    }
+
+    const policyError = validateSanitizerPolicy(req.body);
+    if (policyError) {
+      return res.status(400).json({
+        error: policyError,
+        code: 'INVALID_POLICY'
+      });
+    }
+
+    const policy = await saveSanitizerPolicy(name, req.body);
+
+    res.json({
+      message: 'Sanitizer policy updated successfully',
+      policy
+    });
+  } catch (error) {
+    console.error('Update sanitizer policy error:', error);
+    res.status(500).json({
+      error: 'Failed to update sanitizer policy',
+      code: 'UPDATE_SANITIZER_POLICY_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/sanitizer/policies/:name
+ * Reset a policy to its default
+ */
+router.delete('/policies/:name', authenticateToken, requireRole(['ADMIN']), async (req, res) => {
+  try {
+    const name = req.params.name.toUpperCase();
+
+    if (!POLICY_NAMES.includes(name)) {
+      return res.status(404).json({
+        error: `Policy must be one of ${POLICY_NAMES.join(', ')}`,
+        code: 'POLICY_NOT_FOUND'
+      });
+    }
+
+    await saveSanitizerPolicy(name, null);
+
+    res.json({
+      message: 'Sanitizer policy reset to default',
+      policy: DEFAULT_POLICIES[name]
+    });
+  } catch (error) {
+    console.error('Reset sanitizer policy error:', error);
+    res.status(500).json({
+      error: 'Failed to reset sanitizer policy',
+      code: 'RESET_SANITIZER_POLICY_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/sanitizer/resanitize
+ * Start running existing posts and comments through the current
+ * policies. The job runs in the background; its report of what was
+ * removed is at GET /api/sanitizer/resanitize. Send dryRun to get the
+ * report without saving.
+ */
+router.post('/resanitize', authenticateToken, requireRole(['ADMIN']), [
+  body('dryRun').optional().isBoolean().withMessage('Dry run must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const job = await startResanitizeJob({ dryRun: req.body.dryRun === true || req.body.dryRun === 'true' });
+
+    if (!job) {
+      return res.status(409).json({
+        error: 'The re-sanitize job is already running',
+        code: 'RESANITIZE_IN_PROGRESS',
+        job: await getResanitizeJob()
+      });
+    }
+
+    res.status(202).json({
+      message: job.dryRun ? 'Dry run started' : 'Re-sanitize started',
+      job
+    });
+  } catch (error) {
+    console.error('Re-sanitize content error:', error);
+    res.status(500).json({
+      error: 'Failed to start re-sanitizing content',
+      code: 'RESANITIZE_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/sanitizer/resanitize
+ * Status of the last re-sanitize run, with its report once it completes
+ */
+router.get('/resanitize', authenticateToken, requireRole(['ADMIN']), async (req, res) => {
+  try {
+    const job = await getResanitizeJob();
+
+    res.json({ job });
+  } catch (error) {
+    console.error('Get re-sanitize job error:', error);
+    res.status(500).json({
+      error: 'Failed to get re-sanitize status',
+      code: 'GET_RESANITIZE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,211 @@
+const cron = require('node-cron');
+const { PrismaClient } = require('@prisma/client');
+const { removeFromSearchIndex } = require('./searchIndex');
+const { clearRelatedPostsCache } = require('./relatedPosts');
+
+const prisma = new PrismaClient();
+
+// Check for due posts every minute unless overridden
+const PUBLISH_SCHEDULE = process.env.PUBLISH_SCHEDULE || '* * * * *';
+
+// Purge old trash once a day; a retention of 0 keeps trashed posts forever
+const TRASH_PURGE_SCHEDULE = process.env.TRASH_PURGE_SCHEDULE || '0 3 * * *';
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10);
+
+let tasks = [];
+let running = false;
+
+/**
+ * Publish every SCHEDULED post whose scheduledAt has passed.
+ * Also catches up on slots missed while the server was down.
+ */
+const publishDuePosts = async () => {
+  if (running) {
+    return [];
+  }
+
+  running = true;
+
+  try {
+    const now = new Date();
+
+    const duePosts = await prisma.post.findMany({
+      where: {
+        status: 'SCHEDULED',
+        scheduledAt: { lte: now }
+      },
+      select: {
+        id: true,
+        title: true,
+        scheduledAt: true
+      },
+      orderBy: { scheduledAt: 'asc' }
+    });
+
+    const published = [];
+
+    for (const post of duePosts) {
+      // Only promote posts that are still scheduled, so a concurrent
+      // edit or another instance doesn't cause a double transition
+      const result = await prisma.post.updateMany({
+        where: { id: post.id, status: 'SCHEDULED' },
+        data: {
+          status: 'PUBLISHED',
+          publishedAt: post.scheduledAt
+        }
+      });
+
+      if (result.count === 0) {
+        continue;
+      }
+
+      const lateByMinutes = Math.floor((now - post.scheduledAt) / 60000);
+
+      await prisma.postTransition.create({
+        data: {
+          postId: post.id,
+          fromStatus: 'SCHEDULED',
+          toStatus: 'PUBLISHED',
+          trigger: 'scheduler',
+          comment: lateByMinutes > 1
+            ? `Published ${lateByMinutes} minutes after its scheduled time`
+            : 'Published at its scheduled time'
+        }
+      });
+
+      published.push(post);
+    }
+
+    if (published.length > 0) {
+      clearRelatedPostsCache();
+      console.log(`📅 Scheduler published ${published.length} post(s):`, published.map(post => post.title).join(', '));
+    }
+
+    return published;
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Unpin sticky posts whose stickyUntil has passed
+ */
+const unstickExpiredPosts = async () => {
+  const result = await prisma.post.updateMany({
+    where: {
+      isSticky: true,
+      stickyUntil: { lte: new Date() }
+    },
+    data: {
+      isSticky: false,
+      stickyUntil: null
+    }
+  });
+
+  if (result.count > 0) {
+    console.log(`📌 Unpinned ${result.count} post(s) whose sticky period ended`);
+  }
+
+  return result;
+};
+
+/**
+ * Permanently delete posts that have been in the trash longer than the retention period
+ */
+const purgeTrashedPosts = async (retentionDays = TRASH_RETENTION_DAYS) => {
+  if (!retentionDays || retentionDays <= 0) {
+    return { count: 0 };
+  }
+
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+  const expired = await prisma.post.findMany({
+    where: {
+      status: 'TRASH',
+      trashedAt: { lte: cutoff }
+    },
+    select: { id: true }
+  });
+
+  if (expired.length === 0) {
+    return { count: 0 };
+  }
+
+  const ids = expired.map(post => post.id);
+
+  // Cascade removes comments, analytics and revisions with the post
+  const result = await prisma.post.deleteMany({
+    where: { id: { in: ids } }
+  });
+
+  await removeFromSearchIndex(ids);
+
+  if (result.count > 0) {
+    console.log(`🗑️  Purged ${result.count} post(s) from the trash`);
+  }
+
+  return result;
+};
+
+/**
+ * Start the in-process publishing, sticky expiry and trash purge jobs
+ */
+const startScheduler = () => {
+  if (tasks.length > 0) {
+    return tasks;
+  }
+
+  [PUBLISH_SCHEDULE, TRASH_PURGE_SCHEDULE].forEach(expression => {
+    if (!cron.validate(expression)) {
+      throw new Error(`Invalid cron expression: ${expression}`);
+    }
+  });
+
+  // Catch up on anything that came due while we were offline
+  publishDuePosts().catch(error => {
+    console.error('Scheduler catch-up error:', error);
+  });
+
+  purgeTrashedPosts().catch(error => {
+    console.error('Trash purge error:', error);
+  });
+
+  unstickExpiredPosts().catch(error => {
+    console.error('Sticky expiry error:', error);
+  });
+
+  tasks = [
+    cron.schedule(PUBLISH_SCHEDULE, () => {
+      publishDuePosts().catch(error => {
+        console.error('Scheduler run error:', error);
+      });
+      unstickExpiredPosts().catch(error => {
+        console.error('Sticky expiry error:', error);
+      });
+    }),
+    cron.schedule(TRASH_PURGE_SCHEDULE, () => {
+      purgeTrashedPosts().catch(error => {
+        console.error('Trash purge error:', error);
+      });
+    })
+  ];
+
+  return tasks;
+};
+
+/**
+ * Stop all scheduled jobs
+ */
+const stopScheduler = () => {
+  tasks.forEach(task => task.stop());
+  tasks = [];
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  publishDuePosts,
+  unstickExpiredPosts,
+  purgeTrashedPosts,
+  startScheduler,
+  stopScheduler
+};
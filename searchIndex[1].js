@@ -0,0 +1,282 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { stripHtml, escapeHtml } = require('./text');
+
+const prisma = new PrismaClient();
+
+// Column weights for bm25(): post_id, title, excerpt, content, tags
+const RANK_WEIGHTS = [0, 10.0, 4.0, 1.0, 6.0];
+
+// Markers used by highlight()/snippet() before the text is HTML-escaped
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+
+/**
+ * Create the FTS5 table and its vocabulary view if they don't exist
+ */
+const ensureSearchIndex = async () => {
+  await prisma.$executeRawUnsafe(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS post_search USING fts5(
+      post_id UNINDEXED,
+      title,
+      excerpt,
+      content,
+      tags,
+      tokenize = 'porter unicode61 remove_diacritics 2'
+    )
+  `);
+
+  await prisma.$executeRawUnsafe(
+    "CREATE VIRTUAL TABLE IF NOT EXISTS post_search_vocab USING fts5vocab(post_search, 'row')"
+  );
+
+  // Build the index the first time the server starts against existing content
+  const [{ count }] = await prisma.$queryRaw`SELECT COUNT(*) AS count FROM post_search`;
+  if (Number(count) === 0 && await prisma.post.count() > 0) {
+    await rebuildSearchIndex();
+  }
+};
+
+/**
+ * Replace the indexed text of the given posts
+ */
+const indexPosts = async (postIds) => {
+  const ids = [...new Set(postIds)].filter(Boolean);
+  if (ids.length === 0) return;
+
+  const posts = await prisma.post.findMany({
+    where: { id: { in: ids } },
+    select: {
+      id: true,
+      title: true,
+      excerpt: true,
+      content: true,
+      tags: {
+        select: {
+          tag: {
+            select: { name: true }
+          }
+        }
+      }
+    }
+  });
+
+  await prisma.$transaction([
+    ...ids.map(id => prisma.$executeRaw`DELETE FROM post_search WHERE post_id = ${id}`),
+    ...posts.map(post => prisma.$executeRaw`
+      INSERT INTO post_search (post_id, title, excerpt, content, tags)
+      VALUES (
+        ${post.id},
+        ${post.title},
+        ${stripHtml(post.excerpt || '')},
+        ${stripHtml(post.content)},
+        ${post.tags.map(pt => pt.tag.name).join(' ')}
+      )
+    `)
+  ]);
+};
+
+/**
+ * Keep the index in sync after a write without failing the request.
+ * A failed update is logged; POST /api/search/reindex repairs it.
+ */
+const syncSearchIndex = async (postIds) => {
+  try {
+    await indexPosts(Array.isArray(postIds) ? postIds : [postIds]);
+  } catch (error) {
+    console.error('Search index sync error:', error);
+  }
+};
+
+/**
+ * Drop posts from the index
+ */
+const removeFromSearchIndex = async (postIds) => {
+  const ids = Array.isArray(postIds) ? postIds : [postIds];
+
+  try {
+    await prisma.$transaction(
+      ids.map(id => prisma.$executeRaw`DELETE FROM post_search WHERE post_id = ${id}`)
+    );
+  } catch (error) {
+    console.error('Search index removal error:', error);
+  }
+};
+
+/**
+ * Rebuild the whole index from the posts table
+ */
+const rebuildSearchIndex = async () => {
+  await prisma.$executeRawUnsafe('DELETE FROM post_search');
+
+  const posts = await prisma.post.findMany({ select: { id: true } });
+  const batchSize = 100;
+
+  for (let i = 0; i < posts.length; i += batchSize) {
+    await indexPosts(posts.slice(i, i + batchSize).map(post => post.id));
+  }
+
+  return posts.length;
+};
+
+/**
+ * Levenshtein edit distance, giving up once it exceeds max
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Build the FTS expression for one query term: a prefix match, plus
+ * close spellings from the index vocabulary when nothing starts with it
+ */
+const expandTerm = async (term) => {
+  const alternatives = [`"${term}"*`];
+
+  if (term.length < 4) {
+    return alternatives[0];
+  }
+
+  const upper = `${term}\uffff`;
+  const prefixHits = await prisma.$queryRaw`
+    SELECT term FROM post_search_vocab WHERE term >= ${term} AND term < ${upper} LIMIT 1
+  `;
+
+  if (prefixHits.length === 0) {
+    const maxDistance = term.length >= 8 ? 2 : 1;
+    const first = term[0];
+    const firstUpper = `${first}\uffff`;
+
+    const candidates = await prisma.$queryRaw`
+      SELECT term, doc FROM post_search_vocab
+      WHERE term >= ${first} AND term < ${firstUpper}
+        AND length(term) BETWEEN ${term.length - maxDistance} AND ${term.length + maxDistance}
+      ORDER BY doc DESC
+      LIMIT 1000
+    `;
+
+    candidates
+      .filter(candidate => editDistance(term, candidate.term, maxDistance) <= maxDistance)
+      .slice(0, 5)
+      .forEach(candidate => alternatives.push(`"${candidate.term}"`));
+  }
+
+  return alternatives.length === 1 ? alternatives[0] : `(${alternatives.join(' OR ')})`;
+};
+
+/**
+ * Turn free text into an FTS5 MATCH expression, or null if it has no terms
+ */
+const buildMatchQuery = async (query = '') => {
+  const terms = (query.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .match(/[\p{L}\p{N}]+/gu) || []).slice(0, 10);
+
+  if (terms.length === 0) {
+    return null;
+  }
+
+  const expressions = await Promise.all(terms.map(expandTerm));
+  return expressions.join(' AND ');
+};
+
+/**
+ * Escape highlighted text and swap the markers for <mark> tags
+ */
+const toHighlightHtml = (text) => {
+  if (!text) return '';
+  return escapeHtml(text)
+    .split(MARK_START).join('<mark>')
+    .split(MARK_END).join('</mark>');
+};
+
+/**
+ * Search posts, best match first. Only live published posts are searched
+ * unless publishedOnly is false (admin views), and visibilities limits
+ * the visibility modes searched.
+ */
+const searchPosts = async (query, { limit = 10, offset = 0, publishedOnly = true, visibilities = null } = {}) => {
+  const match = await buildMatchQuery(query);
+
+  if (!match) {
+    return { match: null, total: 0, hits: [] };
+  }
+
+  const [title, excerpt, content, tags] = RANK_WEIGHTS.slice(1);
+  // Scheduled posts are PUBLISHED with a future date; Prisma stores
+  // SQLite dates as epoch milliseconds, so compare against a number
+  const statusFilter = publishedOnly
+    ? Prisma.sql`AND p.status = 'PUBLISHED' AND p.publishedAt <= ${Date.now()}`
+    : Prisma.sql`AND p.status <> 'TRASH'`;
+  const visibilityFilter = visibilities
+    ? Prisma.sql`AND p.visibility IN (${Prisma.join(visibilities)})`
+    : Prisma.empty;
+
+  const [hits, [{ total }]] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT
+        post_search.post_id AS id,
+        bm25(post_search, 0, ${title}, ${excerpt}, ${content}, ${tags}) AS rank,
+        highlight(post_search, 1, ${MARK_START}, ${MARK_END}) AS titleHighlight,
+        snippet(post_search, 3, ${MARK_START}, ${MARK_END}, '…', 24) AS contentSnippet
+      FROM post_search
+      JOIN posts p ON p.id = post_search.post_id
+      WHERE post_search MATCH ${match} ${statusFilter} ${visibilityFilter}
+      ORDER BY rank
+      LIMIT ${limit} OFFSET ${offset}
+    `,
+    prisma.$queryRaw`
+      SELECT COUNT(*) AS total
+      FROM post_search
+      JOIN posts p ON p.id = post_search.post_id
+      WHERE post_search MATCH ${match} ${statusFilter} ${visibilityFilter}
+    `
+  ]);
+
+  return {
+    match,
+    total: Number(total),
+    hits: hits.map(hit => ({
+      id: hit.id,
+      score: -Number(hit.rank),
+      highlights: {
+        title: toHighlightHtml(hit.titleHighlight),
+        content: toHighlightHtml(hit.contentSnippet)
+      }
+    }))
+  };
+};
+
+/**
+ * Ids of posts matching a query, best match first
+ */
+const searchPostIds = async (query, { limit = 1000, publishedOnly = true, visibilities = null } = {}) => {
+  const { hits } = await searchPosts(query, { limit, publishedOnly, visibilities });
+  return hits.map(hit => hit.id);
+};
+
+module.exports = {
+  ensureSearchIndex,
+  indexPosts,
+  syncSearchIndex,
+  removeFromSearchIndex,
+  rebuildSearchIndex,
+  searchPosts,
+  searchPostIds
+};
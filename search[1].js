@@ -0,0 +1,141 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, requireRole, optionalAuth } = require('../middleware/auth');
+const { searchPosts, rebuildSearchIndex } = require('../utils/searchIndex');
+const { readableVisibilities } = require('../utils/postVisibility');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const MAX_LIMIT = 50;
+
+/**
+ * GET /api/search?q=
+ * Full-text search over published posts, ordered by relevance.
+ * Password-protected posts are never searched, and members-only posts
+ * only for logged-in readers.
+ */
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const { q = '', page = 1, limit = 10 } = req.query;
+
+    const take = Math.min(Math.max(parseInt(limit) || 10, 1), MAX_LIMIT);
+    const currentPage = Math.max(parseInt(page) || 1, 1);
+
+    if (typeof q !== 'string' || !q.trim()) {
+      return res.status(400).json({
+        error: 'Search query is required',
+        code: 'QUERY_REQUIRED'
+      });
+    }
+
+    const visibilities = readableVisibilities(req.user);
+
+    const { total, hits } = await searchPosts(q, {
+      limit: take,
+      offset: (currentPage - 1) * take,
+      visibilities
+    });
+
+    const posts = await prisma.post.findMany({
+      where: {
+        id: { in: hits.map(hit => hit.id) },
+        status: 'PUBLISHED',
+        visibility: { in: visibilities },
+        publishedAt: { lte: new Date() }
+      },
+      select: {
+        id: true,
+        title: true,
+        slug: true,
+        type: true,
+        excerpt: true,
+        featuredImage: true,
+        publishedAt: true,
+        author: {
+          select: {
+            id: true,
+            username: true,
+            firstName: true,
+            lastName: true,
+            avatar: true
+          }
+        },
+        category: {
+          select: {
+            id: true,
+            name: true,
+            slug: true,
+            color: true
+          }
+        },
+        tags: {
+          include: {
+            tag: {
+              select: {
+                id: true,
+                name: true,
+                slug: true
+              }
+            }
+          }
+        }
+      }
+    });
+
+    const postsById = new Map(posts.map(post => [post.id, post]));
+
+    // Keep relevance order from the index
+    const results = hits
+      .filter(hit => postsById.has(hit.id))
+      .map(hit => {
+        const post = postsById.get(hit.id);
+        return {
+          ...post,
+          tags: post.tags.map(pt => pt.tag),
+          score: hit.score,
+          highlights: hit.highlights
+        };
+      });
+
+    res.json({
+      query: q,
+      results,
+      pagination: {
+        page: currentPage,
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      error: 'Failed to search posts',
+      code: 'SEARCH_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/search/reindex
+ * Rebuild the search index from scratch
+ */
+router.post('/reindex', authenticateToken, requireRole(['ADMIN']), async (req, res) => {
+  try {
+    const indexed = await rebuildSearchIndex();
+
+    res.json({
+      message: 'Search index rebuilt successfully',
+      indexed
+    });
+  } catch (error) {
+    console.error('Rebuild search index error:', error);
+    res.status(500).json({
+      error: 'Failed to rebuild search index',
+      code: 'REINDEX_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,7 @@
 const { PrismaClient } = require('@prisma/client');
 const { hashPassword } = require('./auth');
+const { computeReadingStats } = require('./readingStats');
+const { DEFAULT_LOCALE } = require('./translations');
 
 const prisma = new PrismaClient();
 
@@ -34,25 +36,29 @@ async function seedDatabase() {
         name: 'Technology',
         slug: 'technology',
         description: 'Latest technology trends and news',
-        color: '#3B82F6'
+        color: '#3B82F6',
+        sortOrder: 0
       },
       {
         name: 'Web Development',
         slug: 'web-development',
         description: 'Web development tutorials and tips',
-        color: '#10B981'
+        color: '#10B981',
+        sortOrder: 1
       },
       {
         name: 'Design',
         slug: 'design',
         description: 'UI/UX design and creative inspiration',
-        color: '#F59E0B'
+        color: '#F59E0B',
+        sortOrder: 2
       },
       {
         name: 'Business',
         slug: 'business',
         description: 'Business insights and entrepreneurship',
-        color: '#EF4444'
+        color: '#EF4444',
+        sortOrder: 3
       }
     ];
 
@@ -229,7 +235,11 @@ async function seedDatabase() {
       const post = await prisma.post.upsert({
         where: { slug: postData.slug },
         update: {},
-        create: postData
+        create: {
+          ...postData,
+          ...computeReadingStats(postData.content),
+          locale: DEFAULT_LOCALE
+        }
       });
 
       // Add tags to posts
@@ -261,6 +271,33 @@ async function seedDatabase() {
 
     console.log('✅ Sample posts created');
 
+    // Create static pages
+    const pages = [
+      { title: 'About', slug: 'about', content: '<p>Tell your readers who you are and what this blog is about.</p>' },
+      { title: 'Contact', slug: 'contact', content: '<p>Let readers know how to get in touch.</p>', template: 'contact' },
+      { title: 'Privacy Policy', slug: 'privacy', content: '<p>Describe how you collect and use visitor data.</p>' },
+      { title: 'Terms of Service', slug: 'terms', content: '<p>Set out the terms for using this site.</p>' }
+    ];
+
+    for (const [index, pageData] of pages.entries()) {
+      await prisma.post.upsert({
+        where: { slug: pageData.slug },
+        update: {},
+        create: {
+          ...pageData,
+          ...computeReadingStats(pageData.content),
+          type: 'PAGE',
+          status: 'PUBLISHED',
+          publishedAt: new Date(),
+          menuOrder: index,
+          locale: DEFAULT_LOCALE,
+          authorId: admin.id
+        }
+      });
+    }
+
+    console.log('✅ Pages created');
+
     // Create site settings
     const siteSettings = [
       {
@@ -16,10 +16,12 @@ import {
   Image,
   FileText,
 } from 'lucide-react';
+import { seoAPI } from '@/lib/api';
 
 interface SEOAnalysisProps {
   title: string;
   content: string;
+  contentFormat?: 'HTML' | 'MARKDOWN';
   metaDescription?: string;
   slug?: string;
   featuredImage?: string;
@@ -43,6 +45,7 @@ interface KeywordDensity {
 export function SEOAnalyzer({
   title,
   content,
+  contentFormat = 'HTML',
   metaDescription = '',
   slug = '',
   featuredImage = '',
@@ -54,19 +57,40 @@ export function SEOAnalyzer({
   const [readingTime, setReadingTime] = useState(0);
   const [wordCount, setWordCount] = useState(0);
 
+  // Word count and reading time come from the server once typing
+  // pauses, so they match what is stored when the post is saved
   useEffect(() => {
-    analyzeSEO();
-  }, [title, content, metaDescription, slug, featuredImage, tags]);
+    if (!title.trim() || !content.trim()) {
+      setWordCount(0);
+      setReadingTime(0);
+      return;
+    }
 
-  const analyzeSEO = () => {
-    const plainContent = content.replace(/<[^>]*>/g, '');
-    const words = plainContent.split(/\s+/).filter(word => word.length > 0);
-    const wordCount = words.length;
-    const readingTime = Math.ceil(wordCount / 200); // 200 words per minute
+    let cancelled = false;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await seoAPI.analyze({ title, content, contentFormat });
+        if (!cancelled) {
+          setWordCount(response.data.wordCount);
+          setReadingTime(response.data.readingTime);
+        }
+      } catch (error) {
+        console.error('Error fetching reading stats:', error);
+      }
+    }, 1000);
 
-    setWordCount(wordCount);
-    setReadingTime(readingTime);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [title, content, contentFormat]);
 
+  useEffect(() => {
+    analyzeSEO();
+  }, [title, content, metaDescription, slug, featuredImage, tags, wordCount]);
+
+  const analyzeSEO = () => {
     const checks: SEOCheck[] = [];
     let totalScore = 0;
 
@@ -270,7 +294,7 @@ export function SEOAnalyzer({
     }
 
     // Calculate keyword density
-    const keywordDensity = calculateKeywordDensity(plainContent);
+    const keywordDensity = calculateKeywordDensity(content.replace(/<[^>]*>/g, ' '));
     setKeywordDensity(keywordDensity);
 
     const maxScore = checks.length * 10;
@@ -3,6 +3,8 @@ const { body, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const slugify = require('slugify');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { CONTENT_FORMATS, renderMarkdown } = require('../utils/markdown');
+const { countWords, getReadingTime } = require('../utils/readingStats');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -155,6 +157,7 @@ const analyzeSEO = (content, title, metaDescription, slug) => {
 router.post('/analyze', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTHOR']), [
   body('title').notEmpty().withMessage('Title is required'),
   body('content').notEmpty().withMessage('Content is required'),
+  body('contentFormat').optional().isIn(CONTENT_FORMATS).withMessage('Content format must be HTML or MARKDOWN'),
   body('slug').optional().isString(),
   body('metaDescription').optional().isString()
 ], async (req, res) => {
@@ -167,16 +170,23 @@ router.post('/analyze', authenticateToken, requireRole(['ADMIN', 'EDITOR', 'AUTH
       });
     }
 
-    const { title, content, slug, metaDescription } = req.body;
+    const { title, content, contentFormat, slug, metaDescription } = req.body;
 
     // Generate slug if not provided
     const finalSlug = slug || slugify(title, { lower: true, strict: true });
 
+    // Markdown is checked as the HTML it will be published as
+    const html = contentFormat === 'MARKDOWN' ? renderMarkdown(content) : content;
+
     // Perform SEO analysis
-    const analysis = analyzeSEO(content, title, metaDescription, finalSlug);
+    const analysis = analyzeSEO(html, title, metaDescription, finalSlug);
+
+    const wordCount = countWords(html);
 
     res.json({
       analysis,
+      wordCount,
+      readingTime: getReadingTime(wordCount),
       generatedSlug: finalSlug
     });
   } catch (error) {
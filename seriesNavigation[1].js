@@ -0,0 +1,103 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+/**
+ * Where clause for the parts of a series a reader can see
+ */
+const visiblePartsWhere = (seriesId, isStaff) => ({
+  seriesId,
+  type: 'POST',
+  ...(isStaff
+    ? { status: { not: 'TRASH' } }
+    : { status: 'PUBLISHED', publishedAt: { lte: new Date() } })
+});
+
+/**
+ * Ordered parts of a series. Staff also see unpublished parts.
+ */
+const getSeriesParts = async (seriesId, { isStaff = false } = {}) => {
+  return prisma.post.findMany({
+    where: visiblePartsWhere(seriesId, isStaff),
+    select: {
+      id: true,
+      title: true,
+      slug: true,
+      status: true,
+      publishedAt: true,
+      seriesOrder: true
+    },
+    orderBy: [{ seriesOrder: 'asc' }, { publishedAt: 'asc' }, { createdAt: 'asc' }]
+  });
+};
+
+/**
+ * Table of contents and previous/next links for a post in a series.
+ * The post itself is always listed, so previews show where it will go.
+ */
+const getSeriesNavigation = async (post, { isStaff = false } = {}) => {
+  if (!post.seriesId) {
+    return null;
+  }
+
+  const [series, parts] = await Promise.all([
+    prisma.series.findUnique({
+      where: { id: post.seriesId },
+      select: { id: true, title: true, slug: true, description: true }
+    }),
+    getSeriesParts(post.seriesId, { isStaff })
+  ]);
+
+  if (!series) {
+    return null;
+  }
+
+  if (!parts.some(part => part.id === post.id)) {
+    parts.push({
+      id: post.id,
+      title: post.title,
+      slug: post.slug,
+      status: post.status,
+      publishedAt: post.publishedAt,
+      seriesOrder: post.seriesOrder
+    });
+    parts.sort((a, b) => a.seriesOrder - b.seriesOrder);
+  }
+
+  const toc = parts.map((part, index) => ({
+    id: part.id,
+    title: part.title,
+    slug: part.slug,
+    part: index + 1,
+    ...(isStaff ? { status: part.status } : {})
+  }));
+
+  const index = toc.findIndex(part => part.id === post.id);
+
+  return {
+    ...series,
+    part: index + 1,
+    totalParts: toc.length,
+    previous: toc[index - 1] || null,
+    next: toc[index + 1] || null,
+    toc
+  };
+};
+
+/**
+ * Position for a post added to the end of a series
+ */
+const nextSeriesOrder = async (seriesId, client = prisma) => {
+  const last = await client.post.aggregate({
+    where: { seriesId },
+    _max: { seriesOrder: true }
+  });
+
+  return last._max.seriesOrder === null ? 0 : last._max.seriesOrder + 1;
+};
+
+module.exports = {
+  getSeriesParts,
+  getSeriesNavigation,
+  nextSeriesOrder
+};
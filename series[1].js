@@ -0,0 +1,338 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const slugify = require('slugify');
+const { authenticateToken, requireRole, optionalAuth } = require('../middleware/auth');
+const { getSeriesParts } = require('../utils/seriesNavigation');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation rules
+const seriesValidation = [
+  body('title').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Title must be between 1 and 200 characters'),
+  body('description').optional({ nullable: true }).isLength({ max: 1000 }).withMessage('Description must be under 1000 characters')
+];
+
+/**
+ * Generate unique slug for series
+ */
+const generateUniqueSlug = async (title, seriesId = null) => {
+  let baseSlug = slugify(title, { lower: true, strict: true });
+  let slug = baseSlug;
+  let counter = 1;
+
+  while (true) {
+    const existingSeries = await prisma.series.findUnique({
+      where: { slug },
+      select: { id: true }
+    });
+
+    if (!existingSeries || (seriesId && existingSeries.id === seriesId)) {
+      break;
+    }
+
+    slug = `${baseSlug}-${counter}`;
+    counter++;
+  }
+
+  return slug;
+};
+
+/**
+ * GET /api/series
+ * Get all series with the number of parts readers can see
+ */
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const isStaff = req.user && ['ADMIN', 'EDITOR'].includes(req.user.role);
+
+    const series = await prisma.series.findMany({
+      include: {
+        _count: {
+          select: {
+            posts: {
+              where: isStaff
+                ? { status: { not: 'TRASH' } }
+                : { status: 'PUBLISHED', publishedAt: { lte: new Date() } }
+            }
+          }
+        }
+      },
+      orderBy: { title: 'asc' }
+    });
+
+    res.json({
+      series: series.map(({ _count, ...item }) => ({
+        ...item,
+        postCount: _count.posts
+      })),
+      total: series.length
+    });
+  } catch (error) {
+    console.error('Get series error:', error);
+    res.status(500).json({
+      error: 'Failed to get series',
+      code: 'GET_SERIES_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/series/:slug
+ * Get a series with its parts in order
+ */
+router.get('/:slug', optionalAuth, async (req, res) => {
+  try {
+    const isStaff = req.user && ['ADMIN', 'EDITOR'].includes(req.user.role);
+
+    const series = await prisma.series.findUnique({
+      where: { slug: req.params.slug }
+    });
+
+    if (!series) {
+      return res.status(404).json({
+        error: 'Series not found',
+        code: 'SERIES_NOT_FOUND'
+      });
+    }
+
+    const parts = await getSeriesParts(series.id, { isStaff });
+
+    res.json({
+      series: {
+        ...series,
+        posts: parts.map(({ seriesOrder, ...part }, index) => ({
+          ...part,
+          part: index + 1
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get single series error:', error);
+    res.status(500).json({
+      error: 'Failed to get series',
+      code: 'GET_SERIES_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/series
+ * Create new series
+ */
+router.post('/', authenticateToken, requireRole(['ADMIN', 'EDITOR']), [
+  body('title').trim().notEmpty().withMessage('Title is required'),
+  ...seriesValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { title, description } = req.body;
+
+    const series = await prisma.series.create({
+      data: {
+        title,
+        slug: await generateUniqueSlug(title),
+        description
+      }
+    });
+
+    res.status(201).json({
+      message: 'Series created successfully',
+      series: {
+        ...series,
+        postCount: 0
+      }
+    });
+  } catch (error) {
+    console.error('Create series error:', error);
+    res.status(500).json({
+      error: 'Failed to create series',
+      code: 'CREATE_SERIES_ERROR'
+    });
+  }
+});
+
+/**
+ * PUT /api/series/:id/posts
+ * Set the parts of a series in order. Posts left out are removed from it.
+ */
+router.put('/:id/posts', authenticateToken, requireRole(['ADMIN', 'EDITOR']), [
+  body('postIds').isArray().withMessage('Post IDs must be an array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const postIds = [...new Set(req.body.postIds)];
+
+    const series = await prisma.series.findUnique({
+      where: { id }
+    });
+
+    if (!series) {
+      return res.status(404).json({
+        error: 'Series not found',
+        code: 'SERIES_NOT_FOUND'
+      });
+    }
+
+    const found = await prisma.post.count({
+      where: {
+        id: { in: postIds },
+        type: 'POST'
+      }
+    });
+
+    if (found !== postIds.length) {
+      return res.status(400).json({
+        error: 'One or more posts were not found',
+        code: 'POST_NOT_FOUND'
+      });
+    }
+
+    await prisma.$transaction([
+      prisma.post.updateMany({
+        where: { seriesId: id, id: { notIn: postIds } },
+        data: { seriesId: null, seriesOrder: 0 }
+      }),
+      ...postIds.map((postId, index) => prisma.post.update({
+        where: { id: postId },
+        data: { seriesId: id, seriesOrder: index }
+      }))
+    ]);
+
+    const parts = await getSeriesParts(id, { isStaff: true });
+
+    res.json({
+      message: 'Series updated successfully',
+      series: {
+        ...series,
+        posts: parts.map(({ seriesOrder, ...part }, index) => ({
+          ...part,
+          part: index + 1
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Set series posts error:', error);
+    res.status(500).json({
+      error: 'Failed to update series posts',
+      code: 'SET_SERIES_POSTS_ERROR'
+    });
+  }
+});
+
+/**
+ * PUT /api/series/:id
+ * Update series
+ */
+router.put('/:id', authenticateToken, requireRole(['ADMIN', 'EDITOR']), seriesValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { title, description } = req.body;
+
+    const series = await prisma.series.findUnique({
+      where: { id }
+    });
+
+    if (!series) {
+      return res.status(404).json({
+        error: 'Series not found',
+        code: 'SERIES_NOT_FOUND'
+      });
+    }
+
+    // Regenerate slug if title changed
+    let slug = series.slug;
+    if (title !== undefined && title !== series.title) {
+      slug = await generateUniqueSlug(title, id);
+    }
+
+    const updatedSeries = await prisma.series.update({
+      where: { id },
+      data: {
+        title: title !== undefined ? title : series.title,
+        slug,
+        description: description !== undefined ? description : series.description
+      }
+    });
+
+    res.json({
+      message: 'Series updated successfully',
+      series: updatedSeries
+    });
+  } catch (error) {
+    console.error('Update series error:', error);
+    res.status(500).json({
+      error: 'Failed to update series',
+      code: 'UPDATE_SERIES_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/series/:id
+ * Delete series. Its posts are kept and become standalone.
+ */
+router.delete('/:id', authenticateToken, requireRole(['ADMIN', 'EDITOR']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const series = await prisma.series.findUnique({
+      where: { id },
+      select: { id: true }
+    });
+
+    if (!series) {
+      return res.status(404).json({
+        error: 'Series not found',
+        code: 'SERIES_NOT_FOUND'
+      });
+    }
+
+    const [detached] = await prisma.$transaction([
+      prisma.post.updateMany({
+        where: { seriesId: id },
+        data: { seriesId: null, seriesOrder: 0 }
+      }),
+      prisma.series.delete({
+        where: { id }
+      })
+    ]);
+
+    res.json({
+      message: 'Series deleted successfully',
+      detachedPosts: detached.count
+    });
+  } catch (error) {
+    console.error('Delete series error:', error);
+    res.status(500).json({
+      error: 'Failed to delete series',
+      code: 'DELETE_SERIES_ERROR'
+    });
+  }
+});
+
+module.exports = router;
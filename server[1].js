@@ -6,6 +6,9 @@ const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const fileUpload = require('express-fileupload');
 require('dotenv').config();
+const { startScheduler, stopScheduler } = require('./utils/scheduler');
+const { backfillReadingStats } = require('./utils/backfillReadingStats');
+const { ensureSearchIndex } = require('./utils/searchIndex');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -30,7 +33,8 @@ app.use(cors({
     : ['http://localhost:3000', 'http://localhost:3001'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'If-Match', 'X-Preview-Token'],
+  exposedHeaders: ['ETag', 'Link']
 }));
 
 // Rate limiting
@@ -50,8 +54,18 @@ const authLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Guessing post passwords gets the same treatment as guessing logins
+const unlockLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 password attempts per windowMs
+  message: 'Too many password attempts, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 app.use('/api/', limiter);
 app.use('/api/auth/', authLimiter);
+app.use(/^\/api\/posts\/[^/]+\/unlock$/, unlockLimiter);
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
@@ -83,11 +97,21 @@ app.get('/health', (req, res) => {
 // API Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/posts', require('./routes/posts'));
+app.use('/api/post-templates', require('./routes/postTemplates'));
+app.use('/api/pages', require('./routes/pages'));
+app.use('/api/guest-authors', require('./routes/guestAuthors'));
+app.use('/api/series', require('./routes/series'));
+app.use('/api/custom-fields', require('./routes/customFields'));
+app.use('/api/categories', require('./routes/categories'));
+app.use('/api/tags', require('./routes/tags'));
+app.use('/api/search', require('./routes/search'));
 app.use('/api/media', require('./routes/media'));
 app.use('/api/analytics', require('./routes/analytics'));
 app.use('/api/backup', require('./routes/backup'));
 app.use('/api/seo', require('./routes/seo'));
 app.use('/api/comments', require('./routes/comments'));
+app.use('/api/sanitizer', require('./routes/sanitizer'));
+app.use('/api/redirects', require('./routes/redirects'));
 
 // Sitemap and RSS routes
 app.get('/sitemap.xml', require('./routes/sitemap'));
@@ -120,11 +144,13 @@ app.use((err, req, res, next) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  stopScheduler();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
+  stopScheduler();
   process.exit(0);
 });
 
@@ -132,5 +158,18 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📊 Health check: http://localhost:${PORT}/health`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Publish scheduled posts in the background
+  startScheduler();
+  console.log('📅 Post scheduler started');
+
+  ensureSearchIndex()
+    .then(() => console.log('🔍 Search index ready'))
+    .catch(error => console.error('Search index setup error:', error));
+
+  // Posts saved before reading stats were stored still show 0 words
+  backfillReadingStats()
+    .then(updated => updated > 0 && console.log(`📖 Filled in reading stats for ${updated} posts`))
+    .catch(error => console.error('Reading stats backfill error:', error));
 });
 
@@ -6,6 +6,7 @@ import { cn } from '@/utils/cn';
 import {
   LayoutDashboard,
   FileText,
+  ClipboardCheck,
   Image,
   MessageSquare,
   Users,
@@ -42,6 +43,12 @@ export function AdminSidebar({ darkMode, onToggleDarkMode, onLogout }: SidebarPr
       icon: FileText,
       current: pathname.startsWith('/admin/posts'),
     },
+    {
+      name: 'Review Queue',
+      href: '/admin/review',
+      icon: ClipboardCheck,
+      current: pathname.startsWith('/admin/review'),
+    },
     {
       name: 'Media Library',
       href: '/admin/media',
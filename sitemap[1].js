@@ -1,9 +1,28 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
+const { getPagePaths } = require('../utils/pageTree');
+const { DEFAULT_LOCALE } = require('../utils/translations');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+/**
+ * hreflang links for a post that has published translations, including
+ * the post itself. x-default points at the default-locale version.
+ */
+const buildAlternateLinks = (post, translationGroups, siteUrl) => {
+  const translations = post.translationGroupId ? translationGroups.get(post.translationGroupId) : null;
+  if (!translations || translations.length < 2) return '';
+
+  const defaultVersion = translations.find(translation => translation.locale === DEFAULT_LOCALE);
+
+  return [
+    ...translations.map(translation => ({ hreflang: translation.locale, slug: translation.slug })),
+    ...(defaultVersion ? [{ hreflang: 'x-default', slug: defaultVersion.slug }] : [])
+  ].map(link => `
+    <xhtml:link rel="alternate" hreflang="${link.hreflang}" href="${siteUrl}/blog/${link.slug}"/>`).join('');
+};
+
 /**
  * Generate XML sitemap
  */
@@ -13,17 +32,49 @@ const generateSitemap = async () => {
   // Get all published posts
   const posts = await prisma.post.findMany({
     where: {
+      type: 'POST',
       status: 'PUBLISHED',
+      visibility: 'PUBLIC',
       publishedAt: { lte: new Date() }
     },
     select: {
       slug: true,
+      locale: true,
+      translationGroupId: true,
       updatedAt: true,
       publishedAt: true
     },
     orderBy: { publishedAt: 'desc' }
   });
 
+  // Published translations of each post, for hreflang alternates
+  const translationGroups = new Map();
+  posts.forEach(post => {
+    if (!post.translationGroupId) return;
+    const group = translationGroups.get(post.translationGroupId) || [];
+    group.push(post);
+    translationGroups.set(post.translationGroupId, group);
+  });
+
+  // Get all published pages
+  const [pages, pagePaths] = await Promise.all([
+    prisma.post.findMany({
+      where: {
+        type: 'PAGE',
+        status: 'PUBLISHED',
+        publishedAt: { lte: new Date() }
+      },
+      select: {
+        id: true,
+        parentId: true,
+        updatedAt: true,
+        publishedAt: true
+      },
+      orderBy: { menuOrder: 'asc' }
+    }),
+    getPagePaths()
+  ]);
+
   // Get all categories
   const categories = await prisma.category.findMany({
     select: {
@@ -42,7 +93,7 @@ const generateSitemap = async () => {
 
   // Build sitemap XML
   let sitemap = `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">`;
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">`;
 
   // Add homepage
   sitemap += `
@@ -67,7 +118,7 @@ const generateSitemap = async () => {
     const lastmod = post.updatedAt > post.publishedAt ? post.updatedAt : post.publishedAt;
     sitemap += `
   <url>
-    <loc>${siteUrl}/blog/${post.slug}</loc>
+    <loc>${siteUrl}/blog/${post.slug}</loc>${buildAlternateLinks(post, translationGroups, siteUrl)}
     <lastmod>${lastmod.toISOString()}</lastmod>
     <changefreq>weekly</changefreq>
     <priority>0.8</priority>
@@ -96,21 +147,15 @@ const generateSitemap = async () => {
   </url>`;
   });
 
-  // Add static pages
-  const staticPages = [
-    { url: '/about', priority: '0.7', changefreq: 'monthly' },
-    { url: '/contact', priority: '0.7', changefreq: 'monthly' },
-    { url: '/privacy', priority: '0.3', changefreq: 'yearly' },
-    { url: '/terms', priority: '0.3', changefreq: 'yearly' }
-  ];
-
-  staticPages.forEach(page => {
+  // Add pages. Top-level pages rank above nested ones.
+  pages.forEach(page => {
+    const lastmod = page.updatedAt > page.publishedAt ? page.updatedAt : page.publishedAt;
     sitemap += `
   <url>
-    <loc>${siteUrl}${page.url}</loc>
-    <lastmod>${new Date().toISOString()}</lastmod>
-    <changefreq>${page.changefreq}</changefreq>
-    <priority>${page.priority}</priority>
+    <loc>${siteUrl}/${pagePaths.get(page.id)}</loc>
+    <lastmod>${lastmod.toISOString()}</lastmod>
+    <changefreq>monthly</changefreq>
+    <priority>${page.parentId ? '0.5' : '0.7'}</priority>
   </url>`;
   });
 
@@ -0,0 +1,282 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const slugify = require('slugify');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { syncSearchIndex } = require('../utils/searchIndex');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+/**
+ * Reindex every post carrying a tag, since tag names are searchable
+ */
+const reindexTaggedPosts = async (tagId) => {
+  const links = await prisma.postTag.findMany({
+    where: { tagId },
+    select: { postId: true }
+  });
+  await syncSearchIndex(links.map(link => link.postId));
+};
+
+/**
+ * GET /api/tags
+ * Get all tags with usage counts
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { search, sortBy = 'name', unused } = req.query;
+
+    let where = {};
+
+    if (search) {
+      where.name = { contains: search };
+    }
+
+    if (unused === 'true') {
+      where.posts = { none: {} };
+    }
+
+    const tags = await prisma.tag.findMany({
+      where,
+      include: {
+        _count: {
+          select: { posts: true }
+        }
+      },
+      orderBy: sortBy === 'usage'
+        ? { posts: { _count: 'desc' } }
+        : { name: 'asc' }
+    });
+
+    res.json({
+      tags: tags.map(({ _count, ...tag }) => ({
+        ...tag,
+        postCount: _count.posts
+      })),
+      total: tags.length
+    });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({
+      error: 'Failed to get tags',
+      code: 'GET_TAGS_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/tags/merge
+ * Merge several tags into one, moving their posts to the target tag
+ */
+router.post('/merge', authenticateToken, requireRole(['ADMIN', 'EDITOR']), [
+  body('sourceIds').isArray({ min: 1 }).withMessage('Source tag IDs must be a non-empty array'),
+  body('targetId').notEmpty().withMessage('Target tag ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { targetId } = req.body;
+    const sourceIds = [...new Set(req.body.sourceIds)].filter(id => id !== targetId);
+
+    if (sourceIds.length === 0) {
+      return res.status(400).json({
+        error: 'Select at least one tag other than the target',
+        code: 'NO_TAGS_SELECTED'
+      });
+    }
+
+    const [target, sources] = await Promise.all([
+      prisma.tag.findUnique({ where: { id: targetId } }),
+      prisma.tag.findMany({ where: { id: { in: sourceIds } } })
+    ]);
+
+    if (!target || sources.length !== sourceIds.length) {
+      return res.status(404).json({
+        error: 'One or more tags were not found',
+        code: 'TAG_NOT_FOUND'
+      });
+    }
+
+    const movedPosts = await prisma.$transaction(async (tx) => {
+      const [sourceLinks, targetLinks] = await Promise.all([
+        tx.postTag.findMany({
+          where: { tagId: { in: sourceIds } },
+          select: { postId: true }
+        }),
+        tx.postTag.findMany({
+          where: { tagId: targetId },
+          select: { postId: true }
+        })
+      ]);
+
+      // Only link posts that aren't already tagged with the target
+      const alreadyTagged = new Set(targetLinks.map(link => link.postId));
+      const postIds = [...new Set(sourceLinks.map(link => link.postId))]
+        .filter(postId => !alreadyTagged.has(postId));
+
+      if (postIds.length > 0) {
+        await tx.postTag.createMany({
+          data: postIds.map(postId => ({ postId, tagId: targetId }))
+        });
+      }
+
+      // Removing the source tags cascades to their PostTag rows
+      await tx.tag.deleteMany({
+        where: { id: { in: sourceIds } }
+      });
+
+      return postIds.length;
+    });
+
+    await reindexTaggedPosts(targetId);
+
+    const mergedTag = await prisma.tag.findUnique({
+      where: { id: targetId },
+      include: {
+        _count: {
+          select: { posts: true }
+        }
+      }
+    });
+
+    res.json({
+      message: `Merged ${sources.length} tags into ${target.name}`,
+      tag: {
+        id: mergedTag.id,
+        name: mergedTag.name,
+        slug: mergedTag.slug,
+        color: mergedTag.color,
+        postCount: mergedTag._count.posts
+      },
+      mergedTags: sources.map(tag => tag.name),
+      movedPosts
+    });
+  } catch (error) {
+    console.error('Merge tags error:', error);
+    res.status(500).json({
+      error: 'Failed to merge tags',
+      code: 'MERGE_TAGS_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/tags/unused
+ * Delete all tags that are not attached to any post
+ */
+router.delete('/unused', authenticateToken, requireRole(['ADMIN', 'EDITOR']), async (req, res) => {
+  try {
+    const unusedTags = await prisma.tag.findMany({
+      where: { posts: { none: {} } },
+      select: { id: true, name: true }
+    });
+
+    const result = await prisma.tag.deleteMany({
+      where: {
+        id: { in: unusedTags.map(tag => tag.id) },
+        posts: { none: {} }
+      }
+    });
+
+    res.json({
+      message: 'Unused tags deleted successfully',
+      deletedCount: result.count,
+      deletedTags: unusedTags.map(tag => tag.name)
+    });
+  } catch (error) {
+    console.error('Delete unused tags error:', error);
+    res.status(500).json({
+      error: 'Failed to delete unused tags',
+      code: 'DELETE_UNUSED_TAGS_ERROR'
+    });
+  }
+});
+
+/**
+ * PUT /api/tags/:id
+ * Rename or recolor a tag
+ */
+router.put('/:id', authenticateToken, requireRole(['ADMIN', 'EDITOR']), [
+  body('name').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Name must be between 1 and 50 characters'),
+  body('color').optional({ nullable: true }).matches(/^#[0-9A-Fa-f]{6}$/).withMessage('Color must be a hex value like #61DAFB')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { name, color } = req.body;
+
+    const tag = await prisma.tag.findUnique({
+      where: { id }
+    });
+
+    if (!tag) {
+      return res.status(404).json({
+        error: 'Tag not found',
+        code: 'TAG_NOT_FOUND'
+      });
+    }
+
+    // Regenerate slug if name changed
+    let slug = tag.slug;
+    if (name !== undefined && name !== tag.name) {
+      slug = slugify(name, { lower: true, strict: true });
+
+      const duplicate = await prisma.tag.findFirst({
+        where: {
+          id: { not: id },
+          OR: [{ name }, { slug }]
+        }
+      });
+
+      // Tags are matched by slug when posts are saved, so two tags
+      // can't share one. Point the caller at merge instead.
+      if (duplicate) {
+        return res.status(409).json({
+          error: `Tag "${duplicate.name}" already exists. Merge the tags instead.`,
+          code: 'TAG_EXISTS',
+          existingTag: duplicate
+        });
+      }
+    }
+
+    const updatedTag = await prisma.tag.update({
+      where: { id },
+      data: {
+        name: name !== undefined ? name : tag.name,
+        slug,
+        color: color !== undefined ? color : tag.color
+      }
+    });
+
+    if (updatedTag.name !== tag.name) {
+      await reindexTaggedPosts(id);
+    }
+
+    res.json({
+      message: 'Tag updated successfully',
+      tag: updatedTag
+    });
+  } catch (error) {
+    console.error('Update tag error:', error);
+    res.status(500).json({
+      error: 'Failed to update tag',
+      code: 'UPDATE_TAG_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -28,11 +28,44 @@ try {
 
 try {
   app.use('/api/posts', require('./routes/posts'));
+  app.use('/api/redirects', require('./routes/redirects'));
+  app.use('/api/post-templates', require('./routes/postTemplates'));
   console.log('✅ Posts routes loaded');
 } catch (error) {
   console.log('❌ Posts routes error:', error.message);
 }
 
+try {
+  app.use('/api/pages', require('./routes/pages'));
+  app.use('/api/guest-authors', require('./routes/guestAuthors'));
+  app.use('/api/series', require('./routes/series'));
+  app.use('/api/custom-fields', require('./routes/customFields'));
+  console.log('✅ Pages routes loaded');
+} catch (error) {
+  console.log('❌ Pages routes error:', error.message);
+}
+
+try {
+  app.use('/api/categories', require('./routes/categories'));
+  console.log('✅ Categories routes loaded');
+} catch (error) {
+  console.log('❌ Categories routes error:', error.message);
+}
+
+try {
+  app.use('/api/tags', require('./routes/tags'));
+  console.log('✅ Tags routes loaded');
+} catch (error) {
+  console.log('❌ Tags routes error:', error.message);
+}
+
+try {
+  app.use('/api/search', require('./routes/search'));
+  console.log('✅ Search routes loaded');
+} catch (error) {
+  console.log('❌ Search routes error:', error.message);
+}
+
 try {
   app.use('/api/media', require('./routes/media'));
   console.log('✅ Media routes loaded');
@@ -63,6 +96,7 @@ try {
 
 try {
   app.use('/api/comments', require('./routes/comments'));
+  app.use('/api/sanitizer', require('./routes/sanitizer'));
   console.log('✅ Comments routes loaded');
 } catch (error) {
   console.log('❌ Comments routes error:', error.message);
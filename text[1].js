@@ -0,0 +1,61 @@
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+/**
+ * Decode named and numeric HTML entities
+ */
+const decodeEntities = (text) => {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      if (Number.isNaN(code)) return match;
+      // Like browsers, references outside Unicode decode to U+FFFD
+      return code === 0 || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)
+        ? '\uFFFD'
+        : String.fromCodePoint(code);
+    }
+    const decoded = HTML_ENTITIES[entity.toLowerCase()];
+    return decoded !== undefined ? decoded : match;
+  });
+};
+
+/**
+ * Convert HTML to plain text. Script and style bodies are dropped and
+ * tags become spaces so words on either side of a tag don't run together.
+ */
+const stripHtml = (html = '') => {
+  if (!html) return '';
+
+  const text = html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<[^>]*>/g, ' ');
+
+  return decodeEntities(text).replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Escape text for safe inclusion in HTML
+ */
+const escapeHtml = (text = '') => {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+module.exports = {
+  decodeEntities,
+  stripHtml,
+  escapeHtml
+};
@@ -0,0 +1,138 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Locales the site publishes in. The first is the default.
+const SITE_LOCALES = (process.env.SITE_LOCALES || 'en')
+  .split(',')
+  .map(locale => locale.trim())
+  .filter(Boolean);
+
+const DEFAULT_LOCALE = SITE_LOCALES[0];
+
+const isSiteLocale = (locale) => SITE_LOCALES.includes(locale);
+
+/**
+ * Prisma filter for posts in a locale. Posts saved with a locale the
+ * site doesn't publish in, such as the schema's "en" on a site whose
+ * default is another language, count as the default locale.
+ */
+const localeFilter = (locale) => {
+  return locale === DEFAULT_LOCALE
+    ? { notIn: SITE_LOCALES.filter(other => other !== DEFAULT_LOCALE) }
+    : locale;
+};
+
+/**
+ * The locale a post is shown in, by the same rule
+ */
+const getPostLocale = (post) => isSiteLocale(post.locale) ? post.locale : DEFAULT_LOCALE;
+
+/**
+ * Locale and translation group to save for a post. translationOf links
+ * the post to another post's translations; null takes it out of its
+ * group. A group holds one post per locale.
+ */
+const resolveTranslationFields = async (locale, translationOf, existingPost = null) => {
+  const data = {};
+  let groupId = existingPost ? existingPost.translationGroupId : null;
+  let source = null;
+
+  if (locale !== undefined || !existingPost) {
+    data.locale = locale || DEFAULT_LOCALE;
+  }
+
+  if (translationOf === null || translationOf === '') {
+    groupId = null;
+    data.translationGroupId = null;
+  } else if (translationOf !== undefined) {
+    source = await prisma.post.findUnique({
+      where: { id: translationOf },
+      select: { id: true, type: true, locale: true, translationGroupId: true }
+    });
+
+    if (!source || source.type !== 'POST' || (existingPost && source.id === existingPost.id)) {
+      return {
+        status: 400,
+        error: 'Post to translate not found',
+        code: 'TRANSLATION_SOURCE_NOT_FOUND'
+      };
+    }
+
+    // A post's first translation starts a group named after it
+    groupId = source.translationGroupId || source.id;
+    data.translationGroupId = groupId;
+  }
+
+  if (groupId) {
+    const nextLocale = data.locale || existingPost.locale;
+    const existingTranslation = await prisma.post.findFirst({
+      where: {
+        OR: [{ translationGroupId: groupId }, { id: groupId }],
+        locale: nextLocale,
+        ...(existingPost ? { id: { not: existingPost.id } } : {})
+      },
+      select: { id: true, title: true, slug: true }
+    });
+
+    if (existingTranslation) {
+      return {
+        status: 409,
+        error: `This post already has a ${nextLocale} translation`,
+        code: 'TRANSLATION_EXISTS',
+        translation: existingTranslation
+      };
+    }
+  }
+
+  if (source && !source.translationGroupId) {
+    await prisma.post.update({
+      where: { id: source.id },
+      data: { translationGroupId: groupId }
+    });
+  }
+
+  return { data };
+};
+
+/**
+ * The other published translations of a post, with their URLs
+ */
+const getTranslations = async (post, visibilities) => {
+  if (!post.translationGroupId) return [];
+
+  const siteUrl = process.env.SITE_URL || 'http://localhost:3000';
+
+  const translations = await prisma.post.findMany({
+    where: {
+      translationGroupId: post.translationGroupId,
+      id: { not: post.id },
+      type: 'POST',
+      status: 'PUBLISHED',
+      publishedAt: { lte: new Date() },
+      ...(visibilities ? { visibility: { in: visibilities } } : {})
+    },
+    select: {
+      id: true,
+      title: true,
+      slug: true,
+      locale: true
+    },
+    orderBy: { locale: 'asc' }
+  });
+
+  return translations.map(translation => ({
+    ...translation,
+    url: `${siteUrl}/blog/${translation.slug}`
+  }));
+};
+
+module.exports = {
+  SITE_LOCALES,
+  DEFAULT_LOCALE,
+  isSiteLocale,
+  localeFilter,
+  getPostLocale,
+  resolveTranslationFields,
+  getTranslations
+};